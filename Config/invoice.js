@@ -0,0 +1,16 @@
+// Company details and header/footer templates printed on invoices.
+// Templates may use {billNumber}, {dueDate}, {companyName} and {adminName}.
+// Read on each render so values from .env apply regardless of load order.
+const getInvoiceConfig = () => ({
+  companyName: process.env.INVOICE_COMPANY_NAME || 'Eyewear Co.',
+  companyAddress: process.env.INVOICE_COMPANY_ADDRESS || '',
+  companyEmail: process.env.INVOICE_COMPANY_EMAIL || '',
+  companyPhone: process.env.INVOICE_COMPANY_PHONE || '',
+  taxId: process.env.INVOICE_TAX_ID || '',
+  currency: process.env.INVOICE_CURRENCY || 'INR',
+  locale: process.env.INVOICE_LOCALE || 'en-IN',
+  header: process.env.INVOICE_HEADER || '{companyName}',
+  footer: process.env.INVOICE_FOOTER || 'Thank you for your business. Payment is due by {dueDate}.'
+});
+
+module.exports = getInvoiceConfig;
@@ -0,0 +1,11 @@
+// Bill number format. Placeholders: {prefix}, {fy} (financial year, e.g.
+// 2026-27), {fyStart} (e.g. 2026) and {seq} or {seq:N} (zero-padded to N
+// digits). Numbering restarts every financial year, so the format should
+// include {fy} or {fyStart} to stay unique.
+const getNumberingConfig = () => ({
+  billPrefix: process.env.BILL_NUMBER_PREFIX || 'INV',
+  billFormat: process.env.BILL_NUMBER_FORMAT || '{prefix}/{fy}/{seq:6}',
+  financialYearStartMonth: parseInt(process.env.FINANCIAL_YEAR_START_MONTH) || 4 // April
+});
+
+module.exports = getNumberingConfig;
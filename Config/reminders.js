@@ -0,0 +1,21 @@
+const parseDays = (value, fallback) => (value || fallback)
+  .split(',')
+  .map(day => parseInt(day))
+  .filter(day => day > 0);
+
+// Payment reminder schedule and email templates. Days are counted from the
+// bill's due date; templates may use {billNumber}, {dueDate}, {balanceDue},
+// {days}, {adminName} and {companyName}.
+const getReminderConfig = () => ({
+  enabled: process.env.REMINDERS_ENABLED !== 'false',
+  daysBefore: parseDays(process.env.REMINDER_DAYS_BEFORE, '3,1'),
+  daysAfter: parseDays(process.env.REMINDER_DAYS_AFTER, '1,7,14,30'),
+  beforeSubject: process.env.REMINDER_BEFORE_SUBJECT || 'Payment reminder: {billNumber} is due on {dueDate}',
+  beforeBody: process.env.REMINDER_BEFORE_BODY ||
+    'Hello {adminName},\n\nThis is a reminder that bill {billNumber} for {balanceDue} is due on {dueDate} ({days} day(s) from now).\n\n{companyName}',
+  afterSubject: process.env.REMINDER_AFTER_SUBJECT || 'Overdue: {billNumber} was due on {dueDate}',
+  afterBody: process.env.REMINDER_AFTER_BODY ||
+    'Hello {adminName},\n\nBill {billNumber} was due on {dueDate} and is now {days} day(s) overdue. The outstanding balance is {balanceDue}.\n\n{companyName}'
+});
+
+module.exports = getReminderConfig;
@@ -0,0 +1,14 @@
+const parseNumbers = (value, fallback) => (value || fallback)
+  .split(',')
+  .map(number => parseFloat(number))
+  .filter(number => !Number.isNaN(number))
+  .sort((a, b) => a - b);
+
+// Catalogue search. Price facet buckets start at each boundary; the last one
+// is open-ended. At most candidateLimit products are scored per search.
+const getSearchConfig = () => ({
+  priceBuckets: parseNumbers(process.env.SEARCH_PRICE_BUCKETS, '0,1000,2500,5000,10000'),
+  candidateLimit: parseInt(process.env.SEARCH_CANDIDATE_LIMIT) || 2000
+});
+
+module.exports = getSearchConfig;
@@ -0,0 +1,14 @@
+// Where uploaded files are kept. "local" writes under STORAGE_LOCAL_DIR and
+// serves them from STORAGE_PUBLIC_PATH; other drivers can be registered in
+// utils/storage.js.
+const getStorageConfig = () => ({
+  driver: process.env.STORAGE_DRIVER || 'local',
+  localDir: process.env.STORAGE_LOCAL_DIR || 'uploads',
+  publicPath: process.env.STORAGE_PUBLIC_PATH || '/uploads',
+  publicBaseUrl: process.env.STORAGE_PUBLIC_BASE_URL || '',
+  maxImageSize: (parseFloat(process.env.PRODUCT_IMAGE_MAX_MB) || 5) * 1024 * 1024,
+  maxImagesPerUpload: parseInt(process.env.PRODUCT_IMAGE_MAX_FILES) || 10,
+  cacheMaxAge: parseInt(process.env.STORAGE_CACHE_MAX_AGE) || 30 * 24 * 60 * 60 // seconds
+});
+
+module.exports = getStorageConfig;
@@ -0,0 +1,142 @@
+const Bill = require('../model/Bills');
+const Quote = require('../model/quote');
+const getReminderConfig = require('../Config/reminders');
+const getInvoiceConfig = require('../Config/invoice');
+const { sendMail } = require('../utils/mailer');
+const { fillTemplate } = require('../utils/template');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Move open bills whose due day is over to OVERDUE, including partly paid ones
+const markOverdueBills = async (now = new Date()) => {
+  let marked = 0;
+  for (const from of ['PENDING', 'PARTIALLY_PAID']) {
+    const result = await Bill.updateMany(
+      { status: from, dueDate: { $lt: Bill.overdueCutoff(now) } },
+      {
+        $set: { status: 'OVERDUE' },
+        $push: { statusHistory: { from, to: 'OVERDUE', changedAt: now, reason: 'Past due date' } }
+      }
+    );
+    marked += result.modifiedCount;
+  }
+  return marked;
+};
+
+// Expire quotes that were not accepted in time
+const markExpiredQuotes = async (now = new Date()) => {
+  const result = await Quote.updateMany(
+    { status: { $in: ['DRAFT', 'SENT'] }, expiresAt: { $lt: now } },
+    { status: 'EXPIRED' }
+  );
+  return result.modifiedCount;
+};
+
+// The reminder a bill is due for right now, if any. Only the closest step of
+// the schedule is sent, so a bill first seen one day before its due date gets
+// the one-day reminder without the three-day one.
+const dueReminder = (bill, config, now) => {
+  const daysUntilDue = Math.ceil((bill.dueDate - now) / DAY_MS);
+  const sent = bill.reminders || [];
+
+  if (daysUntilDue > 0) {
+    const days = Math.min(...config.daysBefore.filter(day => daysUntilDue <= day));
+    if (!Number.isFinite(days)) return null;
+    const alreadySent = sent.some(r => r.kind === 'BEFORE_DUE' && r.days <= days);
+    return alreadySent ? null : { kind: 'BEFORE_DUE', days, actual: daysUntilDue };
+  }
+
+  const daysOverdue = Math.floor((now - bill.dueDate) / DAY_MS);
+  const days = Math.max(...config.daysAfter.filter(day => daysOverdue >= day));
+  if (!Number.isFinite(days)) return null;
+  const alreadySent = sent.some(r => r.kind === 'AFTER_DUE' && r.days >= days);
+  return alreadySent ? null : { kind: 'AFTER_DUE', days, actual: daysOverdue };
+};
+
+// Email the admin of every open bill that has reached a step of the reminder
+// schedule and record the reminder on the bill
+const sendPaymentReminders = async (now = new Date()) => {
+  const config = getReminderConfig();
+  if (!config.enabled || (config.daysBefore.length === 0 && config.daysAfter.length === 0)) {
+    return { sent: 0, failed: 0 };
+  }
+
+  const invoiceConfig = getInvoiceConfig();
+  const money = new Intl.NumberFormat(invoiceConfig.locale, { style: 'currency', currency: invoiceConfig.currency });
+  const horizon = new Date(now.getTime() + Math.max(0, ...config.daysBefore) * DAY_MS);
+
+  const bills = await Bill.find({
+    status: { $in: ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'] },
+    dueDate: { $lte: horizon }
+  }).populate('adminId', 'firstName lastName email');
+
+  let sent = 0;
+  let failed = 0;
+  for (const bill of bills) {
+    const reminder = dueReminder(bill, config, now);
+    if (!reminder || !bill.adminId || !bill.adminId.email) continue;
+
+    const values = {
+      billNumber: bill.billNumber,
+      dueDate: bill.dueDate.toLocaleDateString(invoiceConfig.locale, { year: 'numeric', month: 'short', day: 'numeric' }),
+      balanceDue: money.format(bill.balanceDue),
+      days: reminder.actual,
+      adminName: `${bill.adminId.firstName} ${bill.adminId.lastName}`,
+      companyName: invoiceConfig.companyName
+    };
+    const before = reminder.kind === 'BEFORE_DUE';
+
+    try {
+      const info = await sendMail({
+        to: bill.adminId.email,
+        subject: fillTemplate(before ? config.beforeSubject : config.afterSubject, values),
+        text: fillTemplate(before ? config.beforeBody : config.afterBody, values)
+      });
+
+      await Bill.updateOne(
+        { _id: bill._id },
+        {
+          $push: {
+            reminders: {
+              kind: reminder.kind,
+              days: reminder.days,
+              to: bill.adminId.email,
+              sentAt: new Date(),
+              messageId: info.messageId
+            }
+          }
+        }
+      );
+      sent += 1;
+    } catch (error) {
+      console.error(`Failed to send reminder for ${bill.billNumber}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+};
+
+const runBillingJobs = async (now = new Date()) => {
+  const overdue = await markOverdueBills(now);
+  const expiredQuotes = await markExpiredQuotes(now);
+  const reminders = await sendPaymentReminders(now);
+  return { overdue, expiredQuotes, reminders };
+};
+
+const startBillingScheduler = (intervalMs = parseInt(process.env.BILLING_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const { overdue, expiredQuotes, reminders } = await runBillingJobs();
+      if (overdue > 0 || expiredQuotes > 0 || reminders.sent > 0) {
+        console.log(`Marked ${overdue} bill(s) overdue, expired ${expiredQuotes} quote(s), sent ${reminders.sent} reminder(s)`);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { markOverdueBills, markExpiredQuotes, sendPaymentReminders, runBillingJobs, startBillingScheduler };
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Product = require('../model/Products');
+const PriceSchedule = require('../model/priceSchedule');
+
+// Put a scheduled price into effect. A schedule without an end date is done
+// once applied; one with an end date stays ACTIVE until it is reverted.
+const startPriceSchedule = (scheduleId, now = new Date()) => mongoose.connection.transaction(async (session) => {
+  const schedule = await PriceSchedule.findById(scheduleId).session(session);
+  if (!schedule || schedule.status !== 'SCHEDULED') return null;
+
+  const product = await Product.findById(schedule.product).session(session);
+  if (!product) {
+    schedule.status = 'CANCELLED';
+    schedule.cancelledAt = now;
+    schedule.notes = [schedule.notes, 'Product no longer exists'].filter(Boolean).join('; ');
+    await schedule.save({ session });
+    return schedule;
+  }
+
+  schedule.previousPrice = product.price;
+  product.price = schedule.price;
+  product.$locals.priceChange = { source: 'SCHEDULE_START', schedule: schedule._id, changedBy: schedule.createdBy };
+  await product.save({ session });
+
+  schedule.appliedAt = now;
+  if (schedule.endsAt) {
+    schedule.status = 'ACTIVE';
+  } else {
+    schedule.status = 'COMPLETED';
+    schedule.endedAt = now;
+  }
+  await schedule.save({ session });
+  return schedule;
+});
+
+// Restore the price an ACTIVE schedule replaced. If the price was changed by
+// hand while the schedule ran, that price is kept. Ends as COMPLETED, or
+// CANCELLED when a user stops the schedule early.
+const endPriceSchedule = (scheduleId, { now = new Date(), cancelledBy } = {}) => mongoose.connection.transaction(async (session) => {
+  const schedule = await PriceSchedule.findById(scheduleId).session(session);
+  if (!schedule || schedule.status !== 'ACTIVE') return null;
+
+  const product = await Product.findById(schedule.product).session(session);
+  schedule.reverted = Boolean(product) && product.price === schedule.price;
+
+  if (schedule.reverted) {
+    product.price = schedule.previousPrice;
+    product.$locals.priceChange = {
+      source: 'SCHEDULE_END',
+      schedule: schedule._id,
+      changedBy: cancelledBy || schedule.createdBy
+    };
+    await product.save({ session });
+  }
+
+  schedule.endedAt = now;
+  if (cancelledBy) {
+    schedule.status = 'CANCELLED';
+    schedule.cancelledAt = now;
+    schedule.cancelledBy = cancelledBy;
+  } else {
+    schedule.status = 'COMPLETED';
+  }
+  await schedule.save({ session });
+  return schedule;
+});
+
+const applyPriceSchedules = async (now = new Date()) => {
+  let started = 0;
+  let ended = 0;
+
+  const starting = await PriceSchedule.find({ status: 'SCHEDULED', startsAt: { $lte: now } }).sort({ startsAt: 1 });
+  for (const schedule of starting) {
+    if (await startPriceSchedule(schedule._id, now)) started += 1;
+  }
+
+  const ending = await PriceSchedule.find({ status: 'ACTIVE', endsAt: { $lte: now } }).sort({ endsAt: 1 });
+  for (const schedule of ending) {
+    if (await endPriceSchedule(schedule._id, { now })) ended += 1;
+  }
+
+  return { started, ended };
+};
+
+const startPriceScheduler = (intervalMs = parseInt(process.env.PRICE_SCHEDULER_INTERVAL_MS) || 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const { started, ended } = await applyPriceSchedules();
+      if (started > 0 || ended > 0) {
+        console.log(`Started ${started} and ended ${ended} price schedule(s)`);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startPriceSchedule, endPriceSchedule, applyPriceSchedules, startPriceScheduler };
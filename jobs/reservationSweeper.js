@@ -0,0 +1,28 @@
+const Reservation = require('../model/reservation');
+
+// Mark holds past their expiry as EXPIRED so they stop showing as active
+const releaseExpiredReservations = async () => {
+  const now = new Date();
+  const result = await Reservation.updateMany(
+    { status: 'ACTIVE', expiresAt: { $lte: now } },
+    { status: 'EXPIRED', releasedAt: now }
+  );
+  return result.modifiedCount;
+};
+
+const startReservationSweeper = (intervalMs = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`Released ${released} expired reservation(s)`);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { releaseExpiredReservations, startReservationSweeper };
@@ -0,0 +1,71 @@
+const multer = require('multer');
+const path = require('path');
+const getStorageConfig = require('../Config/storage');
+
+// Run a multer middleware and answer upload problems (too large, wrong type,
+// unexpected field) with a 400 instead of the generic error handler's 500
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError || (error && error.status === 400)) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+const fileTypeError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Product import files (CSV or JSON) are parsed in memory
+const importUpload = handleUpload(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!['.csv', '.json'].includes(extension)) {
+      return cb(fileTypeError('Only .csv and .json files can be imported'));
+    }
+    cb(null, true);
+  }
+}).single('file'));
+
+// Accepted product image types and the bytes their files start with
+const IMAGE_TYPES = [
+  { contentType: 'image/jpeg', extension: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: 'image/png', extension: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/gif', extension: '.gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+  { contentType: 'image/webp', extension: '.webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+// Product images (field "images", several per request). The declared type is
+// checked first and then the file contents, so a renamed file is still refused.
+// Each accepted file gets `imageType` with the detected content type and extension.
+const imageUpload = (req, res, next) => {
+  const config = getStorageConfig();
+  const upload = handleUpload(multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.maxImageSize, files: config.maxImagesPerUpload },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_TYPES.some(type => type.contentType === file.mimetype)) {
+        return cb(fileTypeError(`Unsupported image type: ${file.mimetype}. Use JPEG, PNG, GIF or WebP`));
+      }
+      cb(null, true);
+    }
+  }).array('images', config.maxImagesPerUpload));
+
+  upload(req, res, (error) => {
+    if (error) return next(error);
+    for (const file of req.files || []) {
+      file.imageType = IMAGE_TYPES.find(type => type.matches(file.buffer));
+      if (!file.imageType) {
+        return res.status(400).json({ message: `${file.originalname} is not a valid image` });
+      }
+    }
+    next();
+  });
+};
+
+module.exports = { handleUpload, importUpload, imageUpload };
@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const HttpError = require('../utils/httpError');
+const { nextBillNumber } = require('../utils/sequence');
+
+// Allowed status changes. PAID and PARTIALLY_PAID follow the payment ledger,
+// CANCELLED is final and only reachable while nothing has been paid.
+const STATUS_TRANSITIONS = {
+  PENDING: ['PARTIALLY_PAID', 'PAID', 'OVERDUE', 'CANCELLED'],
+  OVERDUE: ['PARTIALLY_PAID', 'PAID', 'PENDING', 'CANCELLED'],
+  PARTIALLY_PAID: ['PAID', 'PENDING', 'OVERDUE'],
+  PAID: ['PARTIALLY_PAID', 'PENDING', 'OVERDUE'],
+  CANCELLED: []
+};
+
+// The only changes a user can make by hand; everything else comes from the
+// payment ledger (refreshPaymentStatus) or the cancel endpoint
+const MANUAL_TRANSITIONS = {
+  PENDING: ['OVERDUE'],
+  OVERDUE: ['PENDING']
+};
+
+// Bills with a balance become OVERDUE once their due day is over, i.e. when
+// the due date is before the start of today
+const overdueCutoff = (now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setHours(0, 0, 0, 0);
+  return cutoff;
+};
 
 const billSchema = new mongoose.Schema({
   billNumber: {
@@ -17,6 +44,12 @@ const billSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId // _id of the product variant, if any
+    },
+    sku: {
+      type: String // Variant SKU at the time of billing
+    },
     quantity: {
       type: Number,
       required: true,
@@ -31,6 +64,55 @@ const billSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0
+    },
+    unitCost: {
+      type: Number,
+      min: 0
+    },
+    costOfGoods: {
+      type: Number,
+      min: 0
+    },
+    discounts: [{
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+      },
+      name: String,
+      valueType: String,
+      value: Number,
+      amount: Number
+    }],
+    discountAmount: {
+      type: Number, // Promotion discounts on this line
+      default: 0,
+      min: 0
+    },
+    taxName: {
+      type: String
+    },
+    taxRate: {
+      type: Number, // Percent applied to this line
+      min: 0
+    },
+    taxableAmount: {
+      type: Number, // Line total less promotions and its share of the bill discount
+      min: 0
+    },
+    taxAmount: {
+      type: Number,
+      min: 0
+    },
+    lots: [{
+      lotNumber: String,
+      expiryDate: Date,
+      quantity: Number
+    }],
+    serialNumbers: [String],
+    returnedQuantity: {
+      type: Number, // Units credited back through credit notes
+      default: 0,
+      min: 0
     }
   }],
   subtotal: {
@@ -39,12 +121,26 @@ const billSchema = new mongoose.Schema({
     min: 0
   },
   tax: {
-    type: Number,
+    type: Number, // Sum of line taxes
+    default: 0,
+    min: 0
+  },
+  taxRegion: {
+    type: String // Admin's address.state the rates were chosen for
+  },
+  taxBreakdown: [{
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    taxAmount: Number
+  }],
+  promotionDiscount: {
+    type: Number, // Sum of line promotion discounts
     default: 0,
     min: 0
   },
   discount: {
-    type: Number,
+    type: Number, // Manual discount on top of promotions
     default: 0,
     min: 0
   },
@@ -53,9 +149,28 @@ const billSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  costOfGoods: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  grossMargin: {
+    type: Number, // (subtotal - promotionDiscount - discount) - costOfGoods
+    default: 0
+  },
+  amountPaid: {
+    type: Number, // Sum of recorded (not voided) payments
+    default: 0,
+    min: 0
+  },
+  creditedAmount: {
+    type: Number, // Credit notes applied against the balance
+    default: 0,
+    min: 0
+  },
   status: {
     type: String,
-    enum: ['PENDING', 'PAID', 'OVERDUE', 'CANCELLED'],
+    enum: ['PENDING', 'PARTIALLY_PAID', 'PAID', 'OVERDUE', 'CANCELLED'],
     default: 'PENDING'
   },
   dueDate: {
@@ -66,22 +181,114 @@ const billSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  reminders: [{
+    kind: {
+      type: String,
+      enum: ['BEFORE_DUE', 'AFTER_DUE']
+    },
+    days: Number, // Days before or after the due date the reminder is for
+    to: String,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    },
+    messageId: String
+  }],
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User' // Unset for changes made by the scheduler
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote' // Quote the bill was issued from, if any
+  },
   generatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+billSchema.virtual('balanceDue').get(function() {
+  return Math.round((this.total - (this.amountPaid || 0) - (this.creditedAmount || 0)) * 100) / 100;
 });
 
-// Generate bill number
-billSchema.pre('save', async function(next) {
+billSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+billSchema.methods.canTransitionManuallyTo = function(status) {
+  return (MANUAL_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Change status and record it in the history; throws on a transition that is not allowed
+billSchema.methods.transitionTo = function(status, { changedBy, reason } = {}) {
+  if (status === this.status) {
+    throw new HttpError(400, `Bill is already ${status}`);
+  }
+  if (!this.canTransitionTo(status)) {
+    throw new HttpError(400, `Cannot change a ${this.status} bill to ${status}`);
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, changedBy, reason });
+  this.status = status;
+};
+
+// Set the payment status from the balance due; bills with a balance past their due day
+// are OVERDUE, paid in part or not. A bill settled entirely by credit notes counts as PAID.
+billSchema.methods.refreshPaymentStatus = function(changedBy, reason = 'Payment ledger updated') {
+  if (this.status === 'CANCELLED') {
+    return;
+  }
+
+  let status;
+  if (this.balanceDue <= 0) {
+    status = 'PAID';
+  } else if (this.dueDate < overdueCutoff()) {
+    status = 'OVERDUE';
+  } else {
+    status = this.amountPaid > 0 ? 'PARTIALLY_PAID' : 'PENDING';
+  }
+  if (status !== this.status) {
+    this.transitionTo(status, { changedBy, reason });
+  }
+};
+
+// Number the bill from the financial-year counter. Runs before validation so the
+// required check passes; create bills inside a transaction to keep numbers gap-free.
+billSchema.pre('validate', async function(next) {
   if (!this.billNumber) {
-    const count = await mongoose.model('Bill').countDocuments();
-    this.billNumber = `BILL-${Date.now()}-${count + 1}`;
+    this.billNumber = await nextBillNumber(this.createdAt || new Date(), this.$session());
   }
   next();
 });
 
+billSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+billSchema.statics.MANUAL_TRANSITIONS = MANUAL_TRANSITIONS;
+billSchema.statics.overdueCutoff = overdueCutoff;
+
 module.exports = mongoose.model('Bill', billSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const PriceHistory = require('./priceHistory');
+const { searchTermsFor } = require('../utils/searchIndex');
+
+// Images used to be plain URL strings; accept them wherever images are set or loaded
+const toImage = (image) => typeof image === 'string' ? { url: image } : image;
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -16,6 +21,10 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  costPrice: {
+    type: Number, // Default unit cost when stock comes in without one
+    min: 0
+  },
   rating: {
     type: Number,
     min: 0,
@@ -35,6 +44,48 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  reorderPoint: {
+    type: Number, // Falls back to the low-stock threshold when unset
+    min: 0
+  },
+  reorderQuantity: {
+    type: Number,
+    min: 0
+  },
+  leadTimeDays: {
+    type: Number,
+    min: 0
+  },
+  stockByLocation: [{
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId // _id of the variant, unset for product-level stock
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  damagedStock: [{
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }], // Returned units that cannot be sold; not part of stockCount
   sku: {
     type: String,
     required: true,
@@ -81,10 +132,56 @@ const productSchema = new mongoose.Schema({
       default: true
     }
   }],
-  images: [{
-    type: String,
-    required: true
+  variants: [{
+    sku: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    color: {
+      type: String, // colors[].name
+      required: true
+    },
+    size: {
+      type: String, // sizes[].name
+      required: true
+    },
+    stockCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
   }],
+  images: {
+    type: [{
+      url: {
+        type: String,
+        required: true
+      },
+      key: {
+        type: String // Storage key for uploaded files, unset for external URLs
+      },
+      contentType: {
+        type: String
+      },
+      size: {
+        type: Number
+      },
+      isPrimary: {
+        type: Boolean,
+        default: false
+      },
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }], // In display order
+    set: images => Array.isArray(images) ? images.map(toImage) : images
+  },
   category: {
     type: String,
     required: true,
@@ -94,6 +191,10 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  searchTerms: {
+    type: [String], // Maintained on save for catalogue search
+    select: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -107,10 +208,114 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Update inStock based on stockCount
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ searchTerms: 1 });
+
+productSchema.pre('init', function(raw) {
+  if (Array.isArray(raw.images)) raw.images = raw.images.map(toImage);
+});
+
+// Remember the stored price so a save can tell what it changed from
+productSchema.post('init', function() {
+  this.$locals.storedPrice = this.price;
+});
+
+// Only the URL and primary flag of an image can come from a client; the
+// storage details are set when a file is uploaded
+productSchema.statics.externalImage = (image) => {
+  const { url, isPrimary } = toImage(image) || {};
+  return { url, isPrimary: Boolean(isPrimary) };
+};
+
+// Replace the image list, keeping the stored details of images whose URL is
+// still listed. Returns the storage keys of uploaded files that were dropped.
+productSchema.methods.replaceImages = function(images) {
+  const byUrl = new Map(this.images.map(image => [image.url, image]));
+  const next = images.map(toImage).map(image => {
+    const existing = byUrl.get(image.url);
+    const isPrimary = image.isPrimary !== undefined ? Boolean(image.isPrimary) : Boolean(existing && existing.isPrimary);
+    return existing ? { ...existing.toObject(), isPrimary } : { url: image.url, isPrimary };
+  });
+  const kept = new Set(next.map(image => image.url));
+  const removedKeys = this.images
+    .filter(image => image.key && !kept.has(image.url))
+    .map(image => image.key);
+
+  this.images = next;
+  return removedKeys;
+};
+
+// Update stockCount, variant totals, size availability and inStock from per-location stock,
+// and keep the search terms and primary image current
 productSchema.pre('save', function(next) {
+  if (this.stockByLocation.length > 0) {
+    this.stockCount = this.stockByLocation.reduce((sum, entry) => sum + entry.quantity, 0);
+
+    this.variants.forEach(variant => {
+      variant.stockCount = this.stockByLocation
+        .filter(entry => entry.variant && entry.variant.toString() === variant._id.toString())
+        .reduce((sum, entry) => sum + entry.quantity, 0);
+    });
+  }
+
+  if (this.variants.length > 0) {
+    this.sizes.forEach(size => {
+      size.available = this.variants.some(v => v.isActive && v.size === size.name && v.stockCount > 0);
+    });
+  }
+
   this.inStock = this.stockCount > 0;
+  this.searchTerms = searchTermsFor(this);
+  this.$locals.priceSource = this.isNew ? 'CREATED' : this.isModified('price') ? 'MANUAL' : null;
+
+  // Exactly one primary image, the first one unless another was chosen
+  if (this.images.length > 0) {
+    const primary = this.images.find(image => image.isPrimary) || this.images[0];
+    this.images.forEach(image => {
+      image.isPrimary = image === primary;
+    });
+  }
+
   next();
 });
 
+// Record price changes. Callers can describe the change by setting
+// product.$locals.priceChange = { source, schedule, changedBy } before saving;
+// otherwise it is CREATED or MANUAL, by updatedBy.
+productSchema.post('save', async function() {
+  const previousPrice = this.$locals.storedPrice;
+  const change = this.$locals.priceChange || {};
+  const defaultSource = this.$locals.priceSource;
+  this.$locals.storedPrice = this.price;
+  this.$locals.priceChange = undefined;
+
+  if (!defaultSource) return;
+
+  const session = this.$session();
+  const entries = [];
+
+  // Products from before price history get their old price as a starting point
+  if (previousPrice !== undefined && !(await PriceHistory.exists({ product: this._id }).session(session))) {
+    entries.push({
+      product: this._id,
+      price: previousPrice,
+      effectiveAt: this.createdAt,
+      source: 'BASELINE'
+    });
+  }
+
+  entries.push({
+    product: this._id,
+    price: this.price,
+    previousPrice,
+    originalPrice: this.originalPrice,
+    effectiveAt: new Date(),
+    source: change.source || defaultSource,
+    schedule: change.schedule,
+    changedBy: change.changedBy || this.updatedBy || this.createdBy
+  });
+
+  await PriceHistory.create(entries, { session, ordered: true });
+});
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
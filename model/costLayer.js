@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Units received at one cost, consumed first-in-first-out
+const costLayerSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId // _id of the product variant, if any
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryTransaction'
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+costLayerSchema.index({ product: 1, variant: 1, remaining: 1, receivedAt: 1 });
+
+module.exports = mongoose.model('CostLayer', costLayerSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String, // e.g. "purchaseOrder", or "bill:2026-27" for bills
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { nextSequence } = require('../utils/sequence');
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    unique: true
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    billItem: {
+      type: mongoose.Schema.Types.ObjectId, // _id of the bill line returned against
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+      type: String
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    amount: {
+      type: Number, // unitPrice x quantity
+      required: true,
+      min: 0
+    },
+    credit: {
+      type: Number, // Net of discounts, with tax
+      min: 0
+    },
+    disposition: {
+      type: String,
+      enum: ['SELLABLE', 'DAMAGED'], // Back to sellable stock or to the damaged bucket
+      required: true
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location'
+    },
+    lotNumber: String,
+    serialNumbers: [String]
+  }],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number, // Credited value of the returned units after discounts, with tax
+    required: true,
+    min: 0
+  },
+  appliedAmount: {
+    type: Number, // Taken off the bill's outstanding balance
+    default: 0,
+    min: 0
+  },
+  refundDue: {
+    type: Number, // Credit beyond the outstanding balance, owed back to the admin
+    default: 0,
+    min: 0
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ bill: 1 });
+
+// Generate credit note number
+creditNoteSchema.pre('save', async function(next) {
+  if (!this.creditNoteNumber) {
+    const seq = await nextSequence('creditNote', this.$session());
+    this.creditNoteNumber = `CN-${String(seq).padStart(6, '0')}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
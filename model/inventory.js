@@ -6,15 +6,36 @@ const inventoryTransactionSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId // _id of the product variant, if any
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
   type: {
     type: String,
     enum: ['IN', 'OUT', 'ADJUSTMENT'],
     required: true
   },
   quantity: {
-    type: Number,
+    type: Number, // Signed for ADJUSTMENT (negative when stock went down)
     required: true
   },
+  bucket: {
+    type: String, // DAMAGED movements change Product.damagedStock, not sellable stock
+    enum: ['SELLABLE', 'DAMAGED'],
+    default: 'SELLABLE'
+  },
+  unitCost: {
+    type: Number, // Cost paid on IN, FIFO cost of the units taken on OUT
+    min: 0
+  },
+  totalCost: {
+    type: Number,
+    min: 0
+  },
+  // previousStock/newStock are the levels at `location` when one is set
   previousStock: {
     type: Number,
     required: true
@@ -31,6 +52,41 @@ const inventoryTransactionSchema = new mongoose.Schema({
     type: String, // Bill number, PO number, etc.
     trim: true
   },
+  lots: [{
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lot'
+    },
+    lotNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }],
+  serialNumbers: [{
+    type: String,
+    trim: true
+  }],
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill'
+  },
+  creditNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  purchaseOrderLine: {
+    type: mongoose.Schema.Types.ObjectId // _id of the PurchaseOrder item received
+  },
+  stocktake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stocktake'
+  },
+  transferId: {
+    type: mongoose.Schema.Types.ObjectId // Shared by the OUT/IN pair of a transfer
+  },
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -44,4 +100,7 @@ const inventoryTransactionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+inventoryTransactionSchema.index({ 'lots.lotNumber': 1 });
+inventoryTransactionSchema.index({ serialNumbers: 1 });
+
 module.exports = mongoose.model('InventoryTransaction', inventoryTransactionSchema);
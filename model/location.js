@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['WAREHOUSE', 'STORE'],
+    default: 'STORE'
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Only one location can be the default
+locationSchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await mongoose.model('Location').updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { isDefault: false },
+      { session: this.$session() }
+    );
+  }
+  next();
+});
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const lotSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId // _id of the product variant, if any
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expiryDate: {
+    type: Date // Consumables such as lens solution
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  quantityRemaining: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+lotSchema.index({ product: 1, variant: 1, location: 1, lotNumber: 1 }, { unique: true });
+lotSchema.index({ lotNumber: 1 });
+
+module.exports = mongoose.model('Lot', lotSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    enum: ['CASH', 'BANK_TRANSFER', 'UPI', 'CARD', 'CHEQUE', 'OTHER'],
+    required: true
+  },
+  reference: {
+    type: String, // Transaction id, cheque number, etc.
+    trim: true
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['RECORDED', 'VOIDED'],
+    default: 'RECORDED'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ bill: 1, status: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
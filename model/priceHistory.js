@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One entry per change of a product's selling price, written when the product is saved
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  previousPrice: {
+    type: Number // Unset for the first entry
+  },
+  originalPrice: {
+    type: Number // The product's list price at the time
+  },
+  effectiveAt: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['BASELINE', 'CREATED', 'MANUAL', 'IMPORT', 'SCHEDULE_START', 'SCHEDULE_END'],
+    required: true
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceSchedule'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceHistorySchema.index({ product: 1, effectiveAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
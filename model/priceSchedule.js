@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const priceScheduleSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date // Unset to keep the price after it starts
+  },
+  status: {
+    type: String,
+    enum: ['SCHEDULED', 'ACTIVE', 'COMPLETED', 'CANCELLED'],
+    default: 'SCHEDULED'
+  },
+  previousPrice: {
+    type: Number // Price replaced when the schedule started, restored when it ends
+  },
+  appliedAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  },
+  reverted: {
+    type: Boolean // False when the price was changed by hand while the schedule ran
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceScheduleSchema.index({ status: 1, startsAt: 1 });
+priceScheduleSchema.index({ status: 1, endsAt: 1 });
+priceScheduleSchema.index({ product: 1, status: 1 });
+
+module.exports = mongoose.model('PriceSchedule', priceScheduleSchema);
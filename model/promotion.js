@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  valueType: {
+    type: String,
+    enum: ['PERCENTAGE', 'FIXED'], // FIXED is an amount off each unit
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Empty scopes match everything; a line must match every scope that is set
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: String,
+    enum: ['frames', 'sunglasses', 'reading-glasses', 'accessories']
+  }],
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  minQuantity: {
+    type: Number, // Line quantity needed for the rule to apply
+    default: 1,
+    min: 1
+  },
+  quantityBreaks: [{
+    minQuantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    value: {
+      type: Number, // Replaces `value` once the line quantity reaches minQuantity
+      required: true,
+      min: 0
+    }
+  }],
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  stackable: {
+    type: Boolean, // Stackable rules combine; an exclusive rule applies alone
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { nextSequence } = require('../utils/sequence');
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location' // Where the goods will be received
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId // _id of the product variant, if any
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED'],
+    default: 'DRAFT'
+  },
+  expectedDate: {
+    type: Date
+  },
+  orderedAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+purchaseOrderSchema.virtual('total').get(function() {
+  return this.items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0);
+});
+
+// Generate PO number
+purchaseOrderSchema.pre('save', async function(next) {
+  if (!this.poNumber) {
+    const seq = await nextSequence('purchaseOrder', this.$session());
+    this.poNumber = `PO-${String(seq).padStart(6, '0')}`;
+  }
+  next();
+});
+
+// Move between ORDERED, PARTIALLY_RECEIVED and RECEIVED from the received quantities
+purchaseOrderSchema.methods.refreshReceivingStatus = function() {
+  const received = this.items.reduce((sum, item) => sum + item.receivedQuantity, 0);
+  const fullyReceived = this.items.every(item => item.receivedQuantity >= item.quantity);
+
+  if (fullyReceived) {
+    this.status = 'RECEIVED';
+    this.receivedAt = new Date();
+  } else if (received > 0) {
+    this.status = 'PARTIALLY_RECEIVED';
+  }
+};
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const { nextSequence } = require('../utils/sequence');
+
+// A proposed bill: same lines and totals as a Bill, but no stock has moved.
+// Accepting it issues the real bill.
+const quoteSchema = new mongoose.Schema({
+  quoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location' // Where stock will be taken from; default location when unset
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+      type: String
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    totalPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    discounts: [{
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+      },
+      name: String,
+      valueType: String,
+      value: Number,
+      amount: Number
+    }],
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    taxName: {
+      type: String
+    },
+    taxRate: {
+      type: Number,
+      min: 0
+    },
+    taxableAmount: {
+      type: Number,
+      min: 0
+    },
+    taxAmount: {
+      type: Number,
+      min: 0
+    },
+    serialNumbers: [String] // Units to issue on acceptance, if chosen up front
+  }],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxRegion: {
+    type: String
+  },
+  taxBreakdown: [{
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    taxAmount: Number
+  }],
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['DRAFT', 'SENT', 'ACCEPTED', 'EXPIRED', 'CANCELLED'],
+    default: 'DRAFT'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  paymentTermsDays: {
+    type: Number, // The bill is due this many days after acceptance
+    default: 30,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  sentAt: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill' // Bill issued on acceptance
+  },
+  cancelledAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+quoteSchema.index({ status: 1, expiresAt: 1 });
+
+// Generate quote number
+quoteSchema.pre('validate', async function(next) {
+  if (!this.quoteNumber) {
+    const seq = await nextSequence('quote', this.$session());
+    this.quoteNumber = `QUO-${String(seq).padStart(6, '0')}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const reservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId // _id of the variant, unset for product-level stock
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // The admin the stock is held for
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'RELEASED', 'EXPIRED', 'CONSUMED'],
+    default: 'ACTIVE'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  releasedAt: {
+    type: Date
+  },
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  consumedBy: {
+    type: String, // Bill number that used the hold
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ product: 1, variant: 1, location: 1, status: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
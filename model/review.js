@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    trim: true
+  },
+  verifiedPurchase: {
+    type: Boolean, // The user has been billed for the product
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    default: 'PENDING'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+// Set the product's rating and review count from its approved reviews
+reviewSchema.statics.refreshProductRating = async function(productId) {
+  const [summary] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'APPROVED' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = summary ? Math.round(summary.average * 10) / 10 : 0;
+  const reviews = summary ? summary.count : 0;
+  await mongoose.model('Product').updateOne({ _id: productId }, { rating, reviews });
+  return { rating, reviews };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const serialNumberSchema = new mongoose.Schema({
+  serial: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId // _id of the product variant, if any
+  },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lot'
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location' // Last location the unit was held at
+  },
+  status: {
+    type: String,
+    enum: ['IN_STOCK', 'ISSUED', 'DAMAGED'],
+    default: 'IN_STOCK'
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill'
+  },
+  issuedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+serialNumberSchema.index({ product: 1, serial: 1 }, { unique: true });
+serialNumberSchema.index({ serial: 1 });
+
+module.exports = mongoose.model('SerialNumber', serialNumberSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { nextSequence } = require('../utils/sequence');
+
+const stocktakeSchema = new mongoose.Schema({
+  sessionNumber: {
+    type: String,
+    unique: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['frames', 'sunglasses', 'reading-glasses', 'accessories'] // Optional scope
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'APPROVED', 'CANCELLED'],
+    default: 'OPEN'
+  },
+  lines: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId // One line per variant for products that have them
+    },
+    systemQuantity: {
+      type: Number, // Frozen when the session is opened
+      required: true
+    },
+    unitValue: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // One entry per staff member; the counted quantity is their sum
+    counts: [{
+      countedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      countedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  }],
+  notes: {
+    type: String,
+    trim: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Generate session number
+stocktakeSchema.pre('save', async function(next) {
+  if (!this.sessionNumber) {
+    const seq = await nextSequence('stocktake', this.$session());
+    this.sessionNumber = `COUNT-${String(seq).padStart(6, '0')}`;
+  }
+  next();
+});
+
+// Per-line and total variance between counted and frozen system quantities
+stocktakeSchema.methods.varianceReport = function() {
+  const lines = this.lines.map(line => {
+    const counted = line.counts.length > 0
+      ? line.counts.reduce((sum, entry) => sum + entry.quantity, 0)
+      : null;
+    const variance = counted === null ? null : counted - line.systemQuantity;
+
+    return {
+      lineId: line._id,
+      product: line.product,
+      variant: line.variant,
+      systemQuantity: line.systemQuantity,
+      countedQuantity: counted,
+      varianceUnits: variance,
+      varianceValue: variance === null ? null : variance * line.unitValue,
+      counters: line.counts.length
+    };
+  });
+
+  const counted = lines.filter(line => line.countedQuantity !== null);
+
+  return {
+    lines,
+    totals: {
+      lines: lines.length,
+      counted: counted.length,
+      uncounted: lines.length - counted.length,
+      withVariance: counted.filter(line => line.varianceUnits !== 0).length,
+      varianceUnits: counted.reduce((sum, line) => sum + line.varianceUnits, 0),
+      varianceValue: counted.reduce((sum, line) => sum + line.varianceValue, 0),
+      shrinkageValue: counted
+        .filter(line => line.varianceValue < 0)
+        .reduce((sum, line) => sum + line.varianceValue, 0)
+    }
+  };
+};
+
+module.exports = mongoose.model('Stocktake', stocktakeSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String, // Printed on bills, e.g. "GST 12%"
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String, // Product category; unset applies to every category
+    enum: ['frames', 'sunglasses', 'reading-glasses', 'accessories']
+  },
+  region: {
+    type: String, // Admin's address.state; unset applies to every region
+    uppercase: true,
+    trim: true
+  },
+  rate: {
+    type: Number, // Percent
+    required: true,
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ category: 1, region: 1, isActive: 1 });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
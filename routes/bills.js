@@ -1,13 +1,34 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Bill = require('../model/Bills');
-const Product = require('../model/Products');
 const User = require('../model/user');
 const InventoryTransaction = require('../model/inventory');
+const SerialNumber = require('../model/serialNumber');
+const Payment = require('../model/payment');
+const Location = require('../model/location');
 const { auth, authorize, checkPermission } = require('../middleware/auth');
+const { resolveLocation, applyStockMovement } = require('../utils/stock');
+const HttpError = require('../utils/httpError');
+const { buildInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoice');
+const { runBillingJobs } = require('../jobs/billingScheduler');
+const { buildStatement } = require('../utils/statements');
+const { loadLines, priceLines, issueBill } = require('../utils/billing');
 
 const router = express.Router();
 
+// Sum the bill's recorded payments and update its amount paid and status
+const syncPayments = async (bill, user, session) => {
+  const [paid] = await Payment.aggregate([
+    { $match: { bill: bill._id, status: 'RECORDED' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]).session(session);
+
+  bill.amountPaid = paid ? Math.round(paid.amount * 100) / 100 : 0;
+  bill.refreshPaymentStatus(user._id);
+  await bill.save({ session });
+};
+
 // Get bills (superadmin sees all, admin sees only their bills)
 router.get('/', auth, checkPermission('canViewBilling'), async (req, res) => {
   try {
@@ -60,6 +81,24 @@ router.get('/', auth, checkPermission('canViewBilling'), async (req, res) => {
   }
 });
 
+// Mark overdue bills, expire quotes and send due reminders now instead of waiting for the scheduler
+router.post('/reminders/run', auth, authorize('superadmin'), async (req, res) => {
+  try {
+    const { overdue, expiredQuotes, reminders } = await runBillingJobs();
+
+    res.json({
+      message: 'Billing jobs completed',
+      overdue,
+      expiredQuotes,
+      remindersSent: reminders.sent,
+      remindersFailed: reminders.failed
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get single bill
 router.get('/:id', auth, checkPermission('canViewBilling'), async (req, res) => {
   try {
@@ -84,14 +123,51 @@ router.get('/:id', auth, checkPermission('canViewBilling'), async (req, res) =>
   }
 });
 
+// Render a bill as a printable invoice (?format=pdf|html, ?download=true for an attachment)
+router.get('/:id/invoice', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const { format = 'pdf', download } = req.query;
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be pdf or html' });
+    }
+
+    const bill = await Bill.findById(req.params.id)
+      .populate('adminId', 'firstName lastName email phone address')
+      .populate('items.product', 'name sku');
+
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+
+    if (req.user.role !== 'superadmin' && bill.adminId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const invoice = buildInvoice(bill);
+    const filename = `invoice-${bill.billNumber}.${format}`;
+    res.set('Content-Disposition', `${download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`);
+
+    if (format === 'html') {
+      return res.type('html').send(renderInvoiceHtml(invoice));
+    }
+
+    res.type('pdf').send(await renderInvoicePdf(invoice));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Generate bill for admin stock usage
 router.post('/generate', auth, authorize('superadmin'), [
   body('adminId').isMongoId(),
   body('items').isArray({ min: 1 }),
   body('items.*.product').isMongoId(),
+  body('items.*.variant').isMongoId().optional(),
   body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.serialNumbers').optional().isArray(),
   body('dueDate').isISO8601().toDate(),
-  body('tax').isFloat({ min: 0 }).optional(),
+  body('locationId').isMongoId().optional(),
   body('discount').isFloat({ min: 0 }).optional()
 ], async (req, res) => {
   try {
@@ -100,7 +176,7 @@ router.post('/generate', auth, authorize('superadmin'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { adminId, items, dueDate, tax = 0, discount = 0, notes } = req.body;
+    const { adminId, items, dueDate, locationId, discount = 0, notes } = req.body;
 
     // Verify admin exists
     const admin = await User.findById(adminId);
@@ -108,67 +184,29 @@ router.post('/generate', auth, authorize('superadmin'), [
       return res.status(404).json({ message: 'Admin not found' });
     }
 
-    // Process items and calculate totals
-    const processedItems = [];
-    let subtotal = 0;
-
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return res.status(404).json({ message: `Product not found: ${item.product}` });
+    // Stock movements and the bill are written together or not at all
+    const bill = await mongoose.connection.transaction(async (session) => {
+      // Stock is allocated from a single location (default: main warehouse)
+      const location = await resolveLocation(locationId, session);
+      if (!location) {
+        throw new HttpError(404, 'Location not found');
       }
 
-      // Check stock availability
-      if (product.stockCount < item.quantity) {
-        return res.status(400).json({ 
-          message: `Insufficient stock for ${product.name}. Available: ${product.stockCount}, Requested: ${item.quantity}` 
-        });
-      }
-
-      const itemTotal = product.price * item.quantity;
-      subtotal += itemTotal;
-
-      processedItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        unitPrice: product.price,
-        totalPrice: itemTotal
-      });
-
-      // Update product stock
-      product.stockCount -= item.quantity;
-      await product.save();
-
-      // Create inventory transaction
-      const transaction = new InventoryTransaction({
-        product: product._id,
-        type: 'OUT',
-        quantity: item.quantity,
-        previousStock: product.stockCount + item.quantity,
-        newStock: product.stockCount,
-        reason: 'Admin stock allocation',
-        reference: `Admin: ${admin.firstName} ${admin.lastName}`,
-        performedBy: req.user._id
+      const lines = await loadLines(items, session);
+      const priced = await priceLines({ lines, admin, discount, session });
+
+      return issueBill({
+        admin,
+        priced,
+        location,
+        dueDate,
+        notes,
+        serialNumbers: items.map(item => item.serialNumbers),
+        user: req.user,
+        session
       });
-      await transaction.save();
-    }
-
-    const total = subtotal + tax - discount;
-
-    // Create bill
-    const bill = new Bill({
-      adminId,
-      items: processedItems,
-      subtotal,
-      tax,
-      discount,
-      total,
-      dueDate,
-      notes,
-      generatedBy: req.user._id
     });
 
-    await bill.save();
     await bill.populate('adminId', 'firstName lastName username email');
     await bill.populate('generatedBy', 'firstName lastName username');
     await bill.populate('items.product', 'name sku');
@@ -178,14 +216,18 @@ router.post('/generate', auth, authorize('superadmin'), [
       bill
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update bill status
+// Move a bill between PENDING and OVERDUE (see Bill MANUAL_TRANSITIONS)
 router.patch('/:id/status', auth, authorize('superadmin'), [
-  body('status').isIn(['PENDING', 'PAID', 'OVERDUE', 'CANCELLED'])
+  body('status').isIn(['PENDING', 'PAID', 'PARTIALLY_PAID', 'OVERDUE', 'CANCELLED']),
+  body('reason').optional().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -193,20 +235,445 @@ router.patch('/:id/status', auth, authorize('superadmin'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { status } = req.body;
+    const { status, reason } = req.body;
+
+    // Paid statuses follow the payment ledger
+    if (status === 'PAID' || status === 'PARTIALLY_PAID') {
+      return res.status(400).json({ message: 'Record a payment to mark a bill as paid' });
+    }
+
+    // Cancelling also restores stock
+    if (status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Use the cancel endpoint to cancel a bill' });
+    }
 
     const bill = await Bill.findById(req.params.id);
     if (!bill) {
       return res.status(404).json({ message: 'Bill not found' });
     }
 
-    bill.status = status;
+    if (status !== bill.status && !bill.canTransitionManuallyTo(status)) {
+      return res.status(400).json({
+        message: `Cannot change a ${bill.status} bill to ${status} by hand; paid statuses follow the payment ledger`
+      });
+    }
+
+    bill.transitionTo(status, { changedBy: req.user._id, reason });
     await bill.save();
 
     res.json({
       message: 'Bill status updated successfully',
       bill
     });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a bill and put the billed stock back where it was taken from
+router.post('/:id/cancel', auth, authorize('superadmin'), [
+  body('reason').notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = req.body;
+
+    const cancelled = await mongoose.connection.transaction(async (session) => {
+      const bill = await Bill.findById(req.params.id).session(session);
+      if (!bill) {
+        throw new HttpError(404, 'Bill not found');
+      }
+
+      // A second cancel would restock everything again
+      if (bill.status === 'CANCELLED') {
+        throw new HttpError(400, 'Bill is already cancelled');
+      }
+
+      if (bill.amountPaid > 0) {
+        throw new HttpError(400, 'Void the payments on this bill before cancelling it');
+      }
+
+      // Returned units are already back in stock; reversing the full bill would count them twice
+      if (bill.items.some(item => item.returnedQuantity > 0)) {
+        throw new HttpError(400, 'Bill has returns; credit the remaining items instead of cancelling');
+      }
+
+      bill.transitionTo('CANCELLED', { changedBy: req.user._id, reason });
+
+      // Reverse each stock movement the bill made, with the same lots, serial numbers and cost
+      const movements = await InventoryTransaction.find({ bill: bill._id, type: 'OUT' }).session(session);
+
+      // Bills generated before movements were linked are returned to the default location
+      const defaultLocation = movements.length === 0 ? await resolveLocation(null, session) : null;
+      const restocks = movements.length > 0
+        ? movements.map(movement => ({
+          product: movement.product,
+          variant: movement.variant,
+          location: movement.location,
+          quantity: movement.quantity,
+          unitCost: movement.unitCost,
+          lots: movement.lots.map(lot => ({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: lot.quantity })),
+          serialNumbers: movement.serialNumbers
+        }))
+        : bill.items.map(item => ({
+          product: item.product,
+          variant: item.variant,
+          location: defaultLocation._id,
+          quantity: item.quantity,
+          unitCost: item.unitCost,
+          lots: item.lots.map(lot => ({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: lot.quantity })),
+          serialNumbers: item.serialNumbers
+        }));
+
+      for (const restock of restocks) {
+        const location = await Location.findById(restock.location).session(session);
+        if (!location) {
+          throw new HttpError(404, `Location not found: ${restock.location}`);
+        }
+
+        await applyStockMovement({
+          product: restock.product,
+          variant: restock.variant,
+          location,
+          type: 'IN',
+          delta: restock.quantity,
+          unitCost: restock.unitCost,
+          tracking: { lots: restock.lots, serialNumbers: restock.serialNumbers, partialSerials: true },
+          reason: 'Bill cancelled',
+          reference: bill.billNumber,
+          bill: bill._id,
+          notes: reason,
+          performedBy: req.user._id,
+          session
+        });
+      }
+
+      await SerialNumber.updateMany(
+        { bill: bill._id },
+        { $unset: { bill: 1, issuedTo: 1 } },
+        { session }
+      );
+
+      bill.cancelledAt = new Date();
+      bill.cancelledBy = req.user._id;
+      bill.cancellationReason = reason;
+      await bill.save({ session });
+
+      return bill;
+    });
+
+    res.json({
+      message: 'Bill cancelled successfully',
+      bill: cancelled
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get payments for a bill
+router.get('/:id/payments', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const bill = await Bill.findById(req.params.id);
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+
+    if (req.user.role !== 'superadmin' && bill.adminId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const payments = await Payment.find({ bill: bill._id })
+      .sort({ paidAt: 1 })
+      .populate('recordedBy', 'firstName lastName username')
+      .populate('voidedBy', 'firstName lastName username');
+
+    res.json({
+      payments,
+      total: bill.total,
+      amountPaid: bill.amountPaid,
+      balanceDue: bill.balanceDue,
+      status: bill.status
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record a payment against a bill
+router.post('/:id/payments', auth, authorize('superadmin'), [
+  body('amount').isFloat({ gt: 0 }),
+  body('method').isIn(['CASH', 'BANK_TRANSFER', 'UPI', 'CARD', 'CHEQUE', 'OTHER']),
+  body('reference').optional().trim(),
+  body('paidAt').isISO8601().toDate().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { method, reference, paidAt, notes } = req.body;
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+
+    const result = await mongoose.connection.transaction(async (session) => {
+      const bill = await Bill.findById(req.params.id).session(session);
+      if (!bill) {
+        throw new HttpError(404, 'Bill not found');
+      }
+
+      if (bill.status === 'CANCELLED') {
+        throw new HttpError(400, 'Cannot record a payment on a cancelled bill');
+      }
+
+      if (amount > bill.balanceDue) {
+        throw new HttpError(400, `Payment exceeds the balance due of ${bill.balanceDue}`);
+      }
+
+      const [payment] = await Payment.create([{
+        bill: bill._id,
+        amount,
+        method,
+        reference,
+        paidAt,
+        notes,
+        recordedBy: req.user._id
+      }], { session });
+
+      await syncPayments(bill, req.user, session);
+
+      return { payment, bill };
+    });
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment: result.payment,
+      amountPaid: result.bill.amountPaid,
+      balanceDue: result.bill.balanceDue,
+      status: result.bill.status
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Void a payment (it stays on the ledger but no longer counts towards the bill)
+router.post('/:id/payments/:paymentId/void', auth, authorize('superadmin'), [
+  body('reason').notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await mongoose.connection.transaction(async (session) => {
+      const payment = await Payment.findOne({ _id: req.params.paymentId, bill: req.params.id }).session(session);
+      if (!payment) {
+        throw new HttpError(404, 'Payment not found');
+      }
+
+      if (payment.status === 'VOIDED') {
+        throw new HttpError(400, 'Payment is already voided');
+      }
+
+      payment.status = 'VOIDED';
+      payment.voidedAt = new Date();
+      payment.voidedBy = req.user._id;
+      payment.voidReason = req.body.reason;
+      await payment.save({ session });
+
+      const bill = await Bill.findById(payment.bill).session(session);
+      await syncPayments(bill, req.user, session);
+
+      return { payment, bill };
+    });
+
+    res.json({
+      message: 'Payment voided successfully',
+      payment: result.payment,
+      amountPaid: result.bill.amountPaid,
+      balanceDue: result.bill.balanceDue,
+      status: result.bill.status
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Tax collected per rate over a date range (cancelled bills excluded)
+router.get('/reports/tax', auth, authorize('superadmin'), async (req, res) => {
+  try {
+    const { startDate, endDate, region } = req.query;
+
+    const matchStage = { status: { $ne: 'CANCELLED' } };
+    if (startDate || endDate) {
+      matchStage.createdAt = {};
+      if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+      if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+    }
+    if (region) matchStage.taxRegion = region.trim().toUpperCase();
+
+    const rates = await Bill.aggregate([
+      { $match: matchStage },
+      { $unwind: '$taxBreakdown' },
+      {
+        $group: {
+          _id: { name: '$taxBreakdown.name', rate: '$taxBreakdown.rate' },
+          taxableAmount: { $sum: '$taxBreakdown.taxableAmount' },
+          taxAmount: { $sum: '$taxBreakdown.taxAmount' },
+          bills: { $addToSet: '$_id' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          name: '$_id.name',
+          rate: '$_id.rate',
+          taxableAmount: { $round: ['$taxableAmount', 2] },
+          taxAmount: { $round: ['$taxAmount', 2] },
+          billCount: { $size: '$bills' }
+        }
+      },
+      { $sort: { rate: 1, name: 1 } }
+    ]);
+
+    res.json({
+      period: { startDate, endDate },
+      rates,
+      totals: {
+        taxableAmount: Math.round(rates.reduce((sum, rate) => sum + rate.taxableAmount, 0) * 100) / 100,
+        taxAmount: Math.round(rates.reduce((sum, rate) => sum + rate.taxAmount, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Statement of account for an admin over a period
+router.get('/statements/:adminId', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (req.user.role !== 'superadmin' && req.params.adminId !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const admin = await User.findById(req.params.adminId).select('firstName lastName username email address role');
+    if (!admin || admin.role === 'user') {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    const statement = await buildStatement(admin._id, {
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined
+    });
+
+    res.json({ admin, ...statement });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Outstanding balances per admin, bucketed by days past due date
+router.get('/reports/aging', auth, authorize('superadmin'), async (req, res) => {
+  try {
+    const now = new Date();
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    const rows = await Bill.aggregate([
+      { $match: { status: { $in: ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'] } } },
+      {
+        $project: {
+          adminId: 1,
+          balance: {
+            $subtract: ['$total', { $add: [{ $ifNull: ['$amountPaid', 0] }, { $ifNull: ['$creditedAmount', 0] }] }]
+          },
+          daysPastDue: { $floor: { $divide: [{ $subtract: [now, '$dueDate'] }, dayMs] } }
+        }
+      },
+      { $match: { balance: { $gt: 0 } } },
+      {
+        $project: {
+          adminId: 1,
+          balance: 1,
+          bucket: {
+            $switch: {
+              branches: [
+                { case: { $lte: ['$daysPastDue', 0] }, then: 'current' },
+                { case: { $lte: ['$daysPastDue', 30] }, then: 'days1to30' },
+                { case: { $lte: ['$daysPastDue', 60] }, then: 'days31to60' },
+                { case: { $lte: ['$daysPastDue', 90] }, then: 'days61to90' }
+              ],
+              default: 'over90'
+            }
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$adminId',
+          current: { $sum: { $cond: [{ $eq: ['$bucket', 'current'] }, '$balance', 0] } },
+          days1to30: { $sum: { $cond: [{ $eq: ['$bucket', 'days1to30'] }, '$balance', 0] } },
+          days31to60: { $sum: { $cond: [{ $eq: ['$bucket', 'days31to60'] }, '$balance', 0] } },
+          days61to90: { $sum: { $cond: [{ $eq: ['$bucket', 'days61to90'] }, '$balance', 0] } },
+          over90: { $sum: { $cond: [{ $eq: ['$bucket', 'over90'] }, '$balance', 0] } },
+          total: { $sum: '$balance' },
+          bills: { $sum: 1 }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'admin',
+          pipeline: [{ $project: { firstName: 1, lastName: 1, username: 1, email: 1 } }]
+        }
+      },
+      { $unwind: '$admin' },
+      { $project: { _id: 0 } },
+      { $sort: { total: -1 } }
+    ]);
+
+    const buckets = ['current', 'days1to30', 'days31to60', 'days61to90', 'over90', 'total'];
+    const totals = Object.fromEntries(buckets.map(bucket => [
+      bucket,
+      Math.round(rows.reduce((sum, row) => sum + row[bucket], 0) * 100) / 100
+    ]));
+
+    res.json({
+      asOf: now,
+      admins: rows.map(row => ({
+        ...row,
+        ...Object.fromEntries(buckets.map(bucket => [bucket, Math.round(row[bucket] * 100) / 100]))
+      })),
+      totals
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -227,16 +694,42 @@ router.get('/summary/stats', auth, authorize('superadmin'), async (req, res) =>
 
     const summary = await Bill.aggregate([
       { $match: matchStage },
+      // Bills marked PAID before payments were recorded count as fully paid
+      {
+        $set: {
+          amountPaid: {
+            $ifNull: ['$amountPaid', { $cond: [{ $eq: ['$status', 'PAID'] }, '$total', 0] }]
+          }
+        }
+      },
       {
         $group: {
           _id: null,
           totalBills: { $sum: 1 },
           totalAmount: { $sum: '$total' },
+          costOfGoods: { $sum: '$costOfGoods' },
+          grossMargin: { $sum: '$grossMargin' },
           paidAmount: {
             $sum: {
               $cond: [{ $eq: ['$status', 'PAID'] }, '$total', 0]
             }
           },
+          amountPaid: { $sum: '$amountPaid' },
+          creditedAmount: { $sum: '$creditedAmount' },
+          outstandingAmount: {
+            $sum: {
+              $cond: [
+                { $eq: ['$status', 'CANCELLED'] },
+                0,
+                { $subtract: ['$total', { $add: ['$amountPaid', { $ifNull: ['$creditedAmount', 0] }] }] }
+              ]
+            }
+          },
+          partiallyPaidAmount: {
+            $sum: {
+              $cond: [{ $eq: ['$status', 'PARTIALLY_PAID'] }, '$total', 0]
+            }
+          },
           pendingAmount: {
             $sum: {
               $cond: [{ $eq: ['$status', 'PENDING'] }, '$total', 0]
@@ -266,7 +759,13 @@ router.get('/summary/stats', auth, authorize('superadmin'), async (req, res) =>
       summary: summary[0] || {
         totalBills: 0,
         totalAmount: 0,
+        costOfGoods: 0,
+        grossMargin: 0,
         paidAmount: 0,
+        amountPaid: 0,
+        creditedAmount: 0,
+        outstandingAmount: 0,
+        partiallyPaidAmount: 0,
         pendingAmount: 0,
         overdueAmount: 0
       },
@@ -0,0 +1,327 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const CreditNote = require('../model/creditNote');
+const Bill = require('../model/Bills');
+const InventoryTransaction = require('../model/inventory');
+const Location = require('../model/location');
+const SerialNumber = require('../model/serialNumber');
+const { auth, authorize, checkPermission } = require('../middleware/auth');
+const { resolveLocation, applyStockMovement, recordDamagedStock } = require('../utils/stock');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// What returning `quantity` units of a bill line is worth: the line's share
+// after promotions and the manual discount, plus its tax. Bills from before
+// line-level tax spread the bill's tax and discount pro rata instead.
+const creditFor = (bill, line, quantity) => {
+  const share = quantity / line.quantity;
+  if (line.taxAmount === undefined) {
+    return bill.subtotal > 0 ? line.totalPrice * share * bill.total / bill.subtotal : 0;
+  }
+  return (line.taxableAmount + line.taxAmount) * share;
+};
+
+// Get credit notes (superadmin sees all, admin sees only their own)
+router.get('/', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      billId,
+      adminId
+    } = req.query;
+
+    const query = {};
+
+    if (req.user.role !== 'superadmin') {
+      query.adminId = req.user._id;
+    } else if (adminId) {
+      query.adminId = adminId;
+    }
+    if (billId) query.bill = billId;
+
+    const creditNotes = await CreditNote.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('bill', 'billNumber total')
+      .populate('adminId', 'firstName lastName username email')
+      .populate('items.product', 'name sku');
+
+    const total = await CreditNote.countDocuments(query);
+
+    res.json({
+      creditNotes,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single credit note with its inventory transactions
+router.get('/:id', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('bill', 'billNumber total amountPaid creditedAmount status')
+      .populate('adminId', 'firstName lastName username email')
+      .populate('items.product', 'name sku')
+      .populate('items.location', 'name code')
+      .populate('createdBy', 'firstName lastName username');
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    if (req.user.role !== 'superadmin' && creditNote.adminId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const transactions = await InventoryTransaction.find({ creditNote: creditNote._id })
+      .populate('location', 'name code');
+
+    res.json({ creditNote, transactions });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a credit note for items returned against a bill. SELLABLE units go
+// back to the location they were billed from, DAMAGED units to its damaged bucket.
+router.post('/', auth, authorize('superadmin'), [
+  body('billId').isMongoId(),
+  body('items').isArray({ min: 1 }),
+  body('items.*.itemId').isMongoId(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.disposition').isIn(['SELLABLE', 'DAMAGED']),
+  body('items.*.serialNumbers').optional().isArray(),
+  body('reason').notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { billId, items, reason, notes } = req.body;
+
+    const creditNote = await mongoose.connection.transaction(async (session) => {
+      const bill = await Bill.findById(billId).session(session);
+      if (!bill) {
+        throw new HttpError(404, 'Bill not found');
+      }
+
+      if (bill.status === 'CANCELLED') {
+        throw new HttpError(400, 'Cannot return items on a cancelled bill');
+      }
+
+      // Where each line's stock was taken from; older bills fall back to the default location
+      const movements = await InventoryTransaction.find({ bill: bill._id, type: 'OUT' }).session(session);
+
+      // Units already credited per bill line and lot, including earlier credit notes
+      const previousNotes = await CreditNote.find({ bill: bill._id }).session(session);
+      const creditedFromLot = new Map();
+      previousNotes.flatMap(note => note.items).forEach(creditItem => {
+        if (!creditItem.lotNumber) return;
+        const key = `${creditItem.billItem}:${creditItem.lotNumber}`;
+        creditedFromLot.set(key, (creditedFromLot.get(key) || 0) + creditItem.quantity);
+      });
+
+      const serialsNamed = new Map(); // per bill line, earlier in this request
+      const creditItems = [];
+      const movementsByItem = [];
+      for (const item of items) {
+        const line = bill.items.id(item.itemId);
+        if (!line) {
+          throw new HttpError(404, `Bill item not found: ${item.itemId}`);
+        }
+
+        const returnable = line.quantity - line.returnedQuantity;
+        if (item.quantity > returnable) {
+          throw new HttpError(400, `Only ${returnable} unit(s) of ${line.sku} can be returned`);
+        }
+        line.returnedQuantity += item.quantity;
+
+        // Serialized units on the line need naming when returned. A line billed
+        // from mixed stock also has units without serials, which need none.
+        const serialNumbers = item.serialNumbers || [];
+        if (line.serialNumbers.length > 0) {
+          const serialsIssued = await SerialNumber.countDocuments({
+            product: line.product,
+            serial: { $in: line.serialNumbers },
+            bill: bill._id,
+            status: 'ISSUED'
+          }).session(session);
+          const serialsOut = serialsIssued - (serialsNamed.get(line._id.toString()) || 0);
+          const unserializedOut = returnable - serialsOut;
+          const minimum = Math.max(0, item.quantity - unserializedOut);
+          const maximum = Math.min(item.quantity, serialsOut);
+          if (serialNumbers.length < minimum || serialNumbers.length > maximum) {
+            throw new HttpError(400, minimum === maximum
+              ? `Expected ${minimum} serial numbers for ${line.sku}`
+              : `Expected between ${minimum} and ${maximum} serial numbers for ${line.sku}`);
+          }
+          serialsNamed.set(line._id.toString(), (serialsNamed.get(line._id.toString()) || 0) + serialNumbers.length);
+        } else if (serialNumbers.length > 0) {
+          throw new HttpError(400, `${line.sku} was not billed with serial numbers`);
+        }
+        if (serialNumbers.length > 0) {
+          const issued = await SerialNumber.countDocuments({
+            product: line.product,
+            serial: { $in: serialNumbers },
+            bill: bill._id,
+            status: 'ISSUED'
+          }).session(session);
+          if (issued !== serialNumbers.length || !serialNumbers.every(serial => line.serialNumbers.includes(serial))) {
+            throw new HttpError(400, `Serial numbers were not issued on this bill line: ${serialNumbers.join(', ')}`);
+          }
+        }
+
+        // Returned units go back into the lot they came from when it is known,
+        // up to what the lot issued on this line less what was already credited
+        const lotAvailable = (candidate) =>
+          candidate.quantity - (creditedFromLot.get(`${line._id}:${candidate.lotNumber}`) || 0);
+        let lot;
+        if (item.lotNumber) {
+          lot = line.lots.find(l => l.lotNumber === item.lotNumber);
+          if (!lot) {
+            throw new HttpError(400, `Lot ${item.lotNumber} was not issued on this bill line`);
+          }
+          if (item.quantity > lotAvailable(lot)) {
+            throw new HttpError(400, `Only ${Math.max(0, lotAvailable(lot))} unit(s) of lot ${lot.lotNumber} can be returned for ${line.sku}`);
+          }
+        } else if (line.lots.length === 1 && item.quantity <= lotAvailable(line.lots[0])) {
+          lot = line.lots[0];
+        }
+        if (lot) {
+          const key = `${line._id}:${lot.lotNumber}`;
+          creditedFromLot.set(key, (creditedFromLot.get(key) || 0) + item.quantity);
+        }
+
+        const movement = movements.find(m =>
+          m.product.toString() === line.product.toString() &&
+          (m.variant ? m.variant.toString() : null) === (line.variant ? line.variant.toString() : null)
+        );
+        const location = movement
+          ? await Location.findById(movement.location).session(session)
+          : await resolveLocation(null, session);
+        if (!location) {
+          throw new HttpError(404, `No location to return ${line.sku} to`);
+        }
+
+        creditItems.push({
+          billItem: line._id,
+          product: line.product,
+          variant: line.variant,
+          sku: line.sku,
+          quantity: item.quantity,
+          unitPrice: line.unitPrice,
+          amount: round(line.unitPrice * item.quantity),
+          credit: round(creditFor(bill, line, item.quantity)),
+          disposition: item.disposition,
+          location: location._id,
+          lotNumber: lot ? lot.lotNumber : undefined,
+          serialNumbers
+        });
+        movementsByItem.push({ line, location, lot, serialNumbers });
+      }
+
+      const subtotal = round(creditItems.reduce((sum, item) => sum + item.amount, 0));
+      const total = round(creditItems.reduce((sum, item) => sum + item.credit, 0));
+      const appliedAmount = Math.min(total, Math.max(0, bill.balanceDue));
+
+      const [created] = await CreditNote.create([{
+        bill: bill._id,
+        adminId: bill.adminId,
+        items: creditItems,
+        subtotal,
+        total,
+        appliedAmount,
+        refundDue: round(total - appliedAmount),
+        reason,
+        notes,
+        createdBy: req.user._id
+      }], { session });
+
+      for (let i = 0; i < creditItems.length; i++) {
+        const item = creditItems[i];
+        const { line, location, lot, serialNumbers } = movementsByItem[i];
+        const details = {
+          reason: item.disposition === 'DAMAGED' ? 'Returned damaged' : 'Returned to stock',
+          reference: created.creditNoteNumber,
+          bill: bill._id,
+          creditNote: created._id,
+          notes: reason,
+          performedBy: req.user._id,
+          session
+        };
+
+        if (item.disposition === 'DAMAGED') {
+          await recordDamagedStock({
+            product: line.product,
+            variant: line.variant,
+            location,
+            quantity: item.quantity,
+            serialNumbers,
+            ...details
+          });
+        } else {
+          await applyStockMovement({
+            product: line.product,
+            variant: line.variant,
+            location,
+            type: 'IN',
+            delta: item.quantity,
+            unitCost: line.unitCost,
+            tracking: {
+              lots: lot ? [{ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: item.quantity }] : [],
+              serialNumbers,
+              partialSerials: true
+            },
+            ...details
+          });
+        }
+      }
+
+      if (creditItems.some(item => item.serialNumbers.length > 0)) {
+        await SerialNumber.updateMany(
+          { bill: bill._id, serial: { $in: creditItems.flatMap(item => item.serialNumbers) } },
+          { $unset: { bill: 1, issuedTo: 1 } },
+          { session }
+        );
+      }
+
+      bill.creditedAmount = round((bill.creditedAmount || 0) + appliedAmount);
+      bill.refreshPaymentStatus(req.user._id, `Credit note ${created.creditNoteNumber}`);
+      await bill.save({ session });
+
+      return created;
+    });
+
+    await creditNote.populate('bill', 'billNumber total amountPaid creditedAmount status');
+    await creditNote.populate('items.product', 'name sku');
+
+    res.status(201).json({
+      message: 'Credit note created successfully',
+      creditNote
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,17 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Product = require('../model/Products');
 const InventoryTransaction = require('../model/inventory');
-const { auth, checkPermission } = require('../middleware/auth');
+const PurchaseOrder = require('../model/purchaseOrder');
+const Lot = require('../model/lot');
+const SerialNumber = require('../model/serialNumber');
+const { auth, authorize, checkPermission } = require('../middleware/auth');
+const { resolveLocation, applyStockMovement } = require('../utils/stock');
+const HttpError = require('../utils/httpError');
+const { getReservedByProduct } = require('../utils/reservations');
+const { valueInventory } = require('../utils/costing');
+const { reconcileProduct } = require('../utils/reconciliation');
 
 const router = express.Router();
 
@@ -13,6 +22,8 @@ router.get('/transactions', auth, checkPermission('canManageInventory'), async (
       page = 1, 
       limit = 10, 
       productId,
+      variantId,
+      locationId,
       type,
       startDate,
       endDate
@@ -21,6 +32,8 @@ router.get('/transactions', auth, checkPermission('canManageInventory'), async (
     const query = {};
 
     if (productId) query.product = productId;
+    if (variantId) query.variant = variantId;
+    if (locationId) query.location = locationId;
     if (type) query.type = type;
     if (startDate || endDate) {
       query.createdAt = {};
@@ -33,6 +46,7 @@ router.get('/transactions', auth, checkPermission('canManageInventory'), async (
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .populate('product', 'name sku')
+      .populate('location', 'name code')
       .populate('performedBy', 'firstName lastName username');
 
     const total = await InventoryTransaction.countDocuments(query);
@@ -55,7 +69,13 @@ router.get('/transactions', auth, checkPermission('canManageInventory'), async (
 router.post('/add-stock', auth, checkPermission('canManageInventory'), [
   body('productId').isMongoId(),
   body('quantity').isInt({ min: 1 }),
-  body('reason').notEmpty().trim()
+  body('variantId').isMongoId().optional(),
+  body('locationId').isMongoId().optional(),
+  body('reason').notEmpty().trim(),
+  body('lotNumber').optional().trim().notEmpty(),
+  body('expiryDate').optional().isISO8601().toDate(),
+  body('serialNumbers').optional().isArray(),
+  body('unitCost').optional().isFloat({ min: 0 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -63,43 +83,49 @@ router.post('/add-stock', auth, checkPermission('canManageInventory'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId, quantity, reason, reference, notes } = req.body;
-
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
-
-    const previousStock = product.stockCount;
-    const newStock = previousStock + quantity;
+    const { productId, variantId, locationId, quantity, reason, reference, notes } = req.body;
+    const { lotNumber, expiryDate, serialNumbers, unitCost } = req.body;
 
-    // Update product stock
-    product.stockCount = newStock;
-    await product.save();
+    const result = await mongoose.connection.transaction(async (session) => {
+      const location = await resolveLocation(locationId, session);
+      if (!location) {
+        throw new HttpError(404, 'Location not found');
+      }
 
-    // Create transaction record
-    const transaction = new InventoryTransaction({
-      product: productId,
-      type: 'IN',
-      quantity,
-      previousStock,
-      newStock,
-      reason,
-      reference,
-      notes,
-      performedBy: req.user._id
+      return applyStockMovement({
+        product: productId,
+        variant: variantId,
+        location,
+        type: 'IN',
+        delta: quantity,
+        tracking: {
+          lots: lotNumber ? [{ lotNumber, expiryDate, quantity }] : [],
+          serialNumbers
+        },
+        unitCost: unitCost !== undefined ? parseFloat(unitCost) : undefined,
+        reason,
+        reference,
+        notes,
+        performedBy: req.user._id,
+        session
+      });
     });
 
-    await transaction.save();
+    const { transaction } = result;
     await transaction.populate('product', 'name sku');
+    await transaction.populate('location', 'name code');
     await transaction.populate('performedBy', 'firstName lastName username');
 
     res.json({
       message: 'Stock added successfully',
       transaction,
-      newStock
+      newStock: result.product.stockCount,
+      locationStock: result.newStock
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -109,7 +135,11 @@ router.post('/add-stock', auth, checkPermission('canManageInventory'), [
 router.post('/remove-stock', auth, checkPermission('canManageInventory'), [
   body('productId').isMongoId(),
   body('quantity').isInt({ min: 1 }),
-  body('reason').notEmpty().trim()
+  body('variantId').isMongoId().optional(),
+  body('locationId').isMongoId().optional(),
+  body('reason').notEmpty().trim(),
+  body('lotNumber').optional().trim().notEmpty(),
+  body('serialNumbers').optional().isArray()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -117,43 +147,45 @@ router.post('/remove-stock', auth, checkPermission('canManageInventory'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId, quantity, reason, reference, notes } = req.body;
+    const { productId, variantId, locationId, quantity, reason, reference, notes } = req.body;
+    const { lotNumber, serialNumbers } = req.body;
 
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
-
-    const previousStock = product.stockCount;
-    const newStock = Math.max(0, previousStock - quantity);
-
-    // Update product stock
-    product.stockCount = newStock;
-    await product.save();
+    const result = await mongoose.connection.transaction(async (session) => {
+      const location = await resolveLocation(locationId, session);
+      if (!location) {
+        throw new HttpError(404, 'Location not found');
+      }
 
-    // Create transaction record
-    const transaction = new InventoryTransaction({
-      product: productId,
-      type: 'OUT',
-      quantity,
-      previousStock,
-      newStock,
-      reason,
-      reference,
-      notes,
-      performedBy: req.user._id
+      return applyStockMovement({
+        product: productId,
+        variant: variantId,
+        location,
+        type: 'OUT',
+        delta: -quantity,
+        tracking: { lotNumber, serialNumbers },
+        reason,
+        reference,
+        notes,
+        performedBy: req.user._id,
+        session
+      });
     });
 
-    await transaction.save();
+    const { transaction } = result;
     await transaction.populate('product', 'name sku');
+    await transaction.populate('location', 'name code');
     await transaction.populate('performedBy', 'firstName lastName username');
 
     res.json({
       message: 'Stock removed successfully',
       transaction,
-      newStock
+      newStock: result.product.stockCount,
+      locationStock: result.newStock
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -163,6 +195,8 @@ router.post('/remove-stock', auth, checkPermission('canManageInventory'), [
 router.post('/adjust-stock', auth, checkPermission('canManageInventory'), [
   body('productId').isMongoId(),
   body('newQuantity').isInt({ min: 0 }),
+  body('variantId').isMongoId().optional(),
+  body('locationId').isMongoId().optional(),
   body('reason').notEmpty().trim()
 ], async (req, res) => {
   try {
@@ -171,57 +205,195 @@ router.post('/adjust-stock', auth, checkPermission('canManageInventory'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId, newQuantity, reason, reference, notes } = req.body;
+    const { productId, variantId, locationId, newQuantity, reason, reference, notes } = req.body;
 
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
-
-    const previousStock = product.stockCount;
-    const adjustmentQuantity = Math.abs(newQuantity - previousStock);
-
-    // Update product stock
-    product.stockCount = newQuantity;
-    await product.save();
+    const result = await mongoose.connection.transaction(async (session) => {
+      const location = await resolveLocation(locationId, session);
+      if (!location) {
+        throw new HttpError(404, 'Location not found');
+      }
 
-    // Create transaction record
-    const transaction = new InventoryTransaction({
-      product: productId,
-      type: 'ADJUSTMENT',
-      quantity: adjustmentQuantity,
-      previousStock,
-      newStock: newQuantity,
-      reason,
-      reference,
-      notes,
-      performedBy: req.user._id
+      return applyStockMovement({
+        product: productId,
+        variant: variantId,
+        location,
+        type: 'ADJUSTMENT',
+        setTo: newQuantity,
+        reason,
+        reference,
+        notes,
+        performedBy: req.user._id,
+        session
+      });
     });
 
-    await transaction.save();
+    const { transaction } = result;
     await transaction.populate('product', 'name sku');
+    await transaction.populate('location', 'name code');
     await transaction.populate('performedBy', 'firstName lastName username');
 
     res.json({
       message: 'Stock adjusted successfully',
       transaction,
-      newStock: newQuantity
+      newStock: result.product.stockCount,
+      locationStock: result.newStock
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Transfer stock between locations
+router.post('/transfer', auth, checkPermission('canManageInventory'), [
+  body('productId').isMongoId(),
+  body('variantId').isMongoId().optional(),
+  body('fromLocationId').isMongoId(),
+  body('toLocationId').isMongoId(),
+  body('quantity').isInt({ min: 1 }),
+  body('reason').optional().trim(),
+  body('lotNumber').optional().trim().notEmpty(),
+  body('serialNumbers').optional().isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, variantId, fromLocationId, toLocationId, quantity, reason, reference, notes } = req.body;
+    const { lotNumber, serialNumbers } = req.body;
+
+    if (fromLocationId === toLocationId) {
+      return res.status(400).json({ message: 'Source and destination locations must differ' });
+    }
+
+    const transferId = new mongoose.Types.ObjectId();
+
+    const result = await mongoose.connection.transaction(async (session) => {
+      const fromLocation = await resolveLocation(fromLocationId, session);
+      const toLocation = await resolveLocation(toLocationId, session);
+      if (!fromLocation || !toLocation) {
+        throw new HttpError(404, 'Location not found');
+      }
+
+      // Record the transfer as a paired OUT/IN
+      const transferReason = reason || `Transfer ${fromLocation.code} -> ${toLocation.code}`;
+
+      const outMovement = await applyStockMovement({
+        product: productId,
+        variant: variantId,
+        location: fromLocation,
+        type: 'OUT',
+        delta: -quantity,
+        tracking: { lotNumber, serialNumbers },
+        reason: transferReason,
+        reference: reference || `Transfer to ${toLocation.code}`,
+        transferId,
+        notes,
+        performedBy: req.user._id,
+        session
+      });
+
+      const inMovement = await applyStockMovement({
+        product: productId,
+        variant: variantId,
+        location: toLocation,
+        type: 'IN',
+        delta: quantity,
+        // Lots and serial numbers travel with the units
+        tracking: {
+          lots: outMovement.tracked.lots.map(lot => ({
+            lotNumber: lot.lotNumber,
+            expiryDate: lot.expiryDate,
+            quantity: lot.quantity
+          })),
+          serialNumbers: outMovement.tracked.serialNumbers,
+          partialSerials: true
+        },
+        reason: transferReason,
+        reference: reference || `Transfer from ${fromLocation.code}`,
+        transferId,
+        notes,
+        performedBy: req.user._id,
+        session
+      });
+
+      return { fromLocation, toLocation, outMovement, inMovement };
+    });
+
+    const { fromLocation, toLocation, outMovement, inMovement } = result;
+
+    res.json({
+      message: 'Stock transferred successfully',
+      transferId,
+      transactions: [outMovement.transaction, inMovement.transaction],
+      stockByLocation: {
+        [fromLocation.code]: outMovement.newStock,
+        [toLocation.code]: inMovement.newStock
+      },
+      totalStock: inMovement.product.stockCount
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get low stock products
+// Get low stock products by available-to-sell. Each product's own reorder point
+// applies to its total stock; `threshold` covers the rest and per-location checks
 router.get('/low-stock', auth, checkPermission('canManageInventory'), async (req, res) => {
   try {
-    const { threshold = 10 } = req.query;
+    const { threshold = 10, locationId } = req.query;
+    const limit = parseInt(threshold);
+
+    if (locationId && !mongoose.Types.ObjectId.isValid(locationId)) {
+      return res.status(400).json({ message: 'Invalid location id' });
+    }
+
+    // Held products can be low on available stock while stockCount is still high
+    const reserved = await getReservedByProduct(null, { location: locationId });
+    const heldIds = [...reserved.keys()];
+
+    const query = { isActive: true };
+    if (locationId) {
+      query.$or = [
+        { stockByLocation: { $elemMatch: { location: locationId, quantity: { $lte: limit } } } },
+        { _id: { $in: heldIds }, 'stockByLocation.location': locationId }
+      ];
+    } else {
+      query.$or = [
+        { $expr: { $lte: ['$stockCount', { $ifNull: ['$reorderPoint', limit] }] } },
+        { _id: { $in: heldIds } }
+      ];
+    }
 
-    const products = await Product.find({
-      isActive: true,
-      stockCount: { $lte: parseInt(threshold) }
-    }).sort({ stockCount: 1 });
+    const found = await Product.find(query)
+      .populate('stockByLocation.location', 'name code type');
+
+    const products = found
+      .map(product => {
+        const stock = locationId
+          ? product.stockByLocation
+            .filter(entry => entry.location?._id.toString() === locationId)
+            .reduce((sum, entry) => sum + entry.quantity, 0)
+          : product.stockCount;
+        const reservedStock = reserved.get(product._id.toString()) || 0;
+        return {
+          ...product.toObject(),
+          reservedStock,
+          availableStock: Math.max(0, stock - reservedStock),
+          lowStockThreshold: !locationId && product.reorderPoint != null ? product.reorderPoint : limit
+        };
+      })
+      .filter(product => product.availableStock <= product.lowStockThreshold)
+      .sort((a, b) => a.availableStock - b.availableStock);
 
     res.json({
       products,
@@ -233,4 +405,378 @@ router.get('/low-stock', auth, checkPermission('canManageInventory'), async (req
   }
 });
 
+// Replenishment suggestions from recent OUT history
+router.get('/replenishment', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const {
+      days = 30,
+      coverDays = 30,
+      leadTimeDays = 7,
+      category,
+      all
+    } = req.query;
+
+    const windowDays = Math.max(1, parseInt(days));
+    const targetCover = Math.max(0, parseInt(coverDays));
+    const defaultLeadTime = Math.max(0, parseInt(leadTimeDays));
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+
+    // Transfers move stock between locations and are not consumption
+    const usageRows = await InventoryTransaction.aggregate([
+      { $match: { type: 'OUT', createdAt: { $gte: since }, transferId: { $exists: false } } },
+      { $group: { _id: '$product', quantity: { $sum: '$quantity' } } }
+    ]);
+    const usage = new Map(usageRows.map(row => [row._id.toString(), row.quantity]));
+
+    const onOrderRows = await PurchaseOrder.aggregate([
+      { $match: { status: { $in: ['ORDERED', 'PARTIALLY_RECEIVED'] } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.product',
+          quantity: { $sum: { $subtract: ['$items.quantity', '$items.receivedQuantity'] } }
+        }
+      }
+    ]);
+    const onOrder = new Map(onOrderRows.map(row => [row._id.toString(), row.quantity]));
+
+    const query = { isActive: true };
+    if (category) query.category = category;
+
+    const found = await Product.find(query)
+      .select('name sku category stockCount reorderPoint reorderQuantity leadTimeDays');
+    const reserved = await getReservedByProduct(found.map(product => product._id));
+
+    const products = found
+      .map(product => {
+        const id = product._id.toString();
+        const availableStock = Math.max(0, product.stockCount - (reserved.get(id) || 0));
+        const incoming = onOrder.get(id) || 0;
+        const averageDailyUsage = (usage.get(id) || 0) / windowDays;
+        const leadTime = product.leadTimeDays != null ? product.leadTimeDays : defaultLeadTime;
+
+        // Without a configured reorder point, reorder when stock only covers the lead time
+        const reorderPoint = product.reorderPoint != null
+          ? product.reorderPoint
+          : Math.ceil(averageDailyUsage * leadTime);
+        const position = availableStock + incoming;
+        const needsReorder = position <= reorderPoint && (averageDailyUsage > 0 || product.reorderPoint != null);
+
+        let suggestedOrderQuantity = 0;
+        if (needsReorder) {
+          const target = Math.ceil(averageDailyUsage * (leadTime + targetCover));
+          suggestedOrderQuantity = Math.max(product.reorderQuantity || 0, target - position, 1);
+        }
+
+        return {
+          product: { _id: product._id, name: product.name, sku: product.sku, category: product.category },
+          stockCount: product.stockCount,
+          availableStock,
+          onOrder: incoming,
+          averageDailyUsage: Math.round(averageDailyUsage * 100) / 100,
+          daysOfCover: averageDailyUsage > 0 ? Math.round((availableStock / averageDailyUsage) * 10) / 10 : null,
+          leadTimeDays: leadTime,
+          reorderPoint,
+          needsReorder,
+          suggestedOrderQuantity
+        };
+      })
+      .filter(row => all === 'true' || row.needsReorder)
+      .sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity));
+
+    res.json({
+      windowDays,
+      coverDays: targetCover,
+      products,
+      count: products.length
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Trace a lot: where it was received and where each unit went
+router.get('/trace/lot/:lotNumber', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { productId } = req.query;
+
+    const lotQuery = { lotNumber: req.params.lotNumber };
+    if (productId) lotQuery.product = productId;
+
+    const lots = await Lot.find(lotQuery)
+      .populate('product', 'name sku')
+      .populate('location', 'name code')
+      .populate('supplier', 'name code')
+      .populate('purchaseOrder', 'poNumber');
+
+    if (lots.length === 0) {
+      return res.status(404).json({ message: 'Lot not found' });
+    }
+
+    const movements = await InventoryTransaction.find({ 'lots.lot': { $in: lots.map(lot => lot._id) } })
+      .sort({ createdAt: 1 })
+      .populate('product', 'name sku')
+      .populate('location', 'name code')
+      .populate({ path: 'bill', select: 'billNumber adminId', populate: { path: 'adminId', select: 'firstName lastName username' } })
+      .populate('performedBy', 'firstName lastName username');
+
+    const lotIds = lots.map(lot => lot._id.toString());
+    const history = movements.map(movement => ({
+      _id: movement._id,
+      date: movement.createdAt,
+      type: movement.type,
+      product: movement.product,
+      location: movement.location,
+      quantity: movement.lots
+        .filter(entry => lotIds.includes(entry.lot.toString()))
+        .reduce((sum, entry) => sum + entry.quantity, 0),
+      reason: movement.reason,
+      reference: movement.reference,
+      bill: movement.bill,
+      transferId: movement.transferId,
+      performedBy: movement.performedBy
+    }));
+
+    // Units billed out, grouped by the admin who received them
+    const recipients = {};
+    history
+      .filter(entry => entry.bill && entry.type === 'OUT')
+      .forEach(entry => {
+        const admin = entry.bill.adminId;
+        const key = admin ? admin._id.toString() : 'unknown';
+        recipients[key] = recipients[key] || { admin, quantity: 0, bills: [] };
+        recipients[key].quantity += entry.quantity;
+        if (!recipients[key].bills.includes(entry.bill.billNumber)) {
+          recipients[key].bills.push(entry.bill.billNumber);
+        }
+      });
+
+    const serials = await SerialNumber.find({ lot: { $in: lots.map(lot => lot._id) } })
+      .populate('location', 'name code')
+      .populate('issuedTo', 'firstName lastName username');
+
+    res.json({
+      lotNumber: req.params.lotNumber,
+      lots,
+      remaining: lots.map(lot => ({ location: lot.location, quantity: lot.quantityRemaining })),
+      recipients: Object.values(recipients),
+      serialNumbers: serials,
+      history
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Trace a serial number through its movements
+router.get('/trace/serial/:serial', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { productId } = req.query;
+
+    const serialQuery = { serial: req.params.serial };
+    if (productId) serialQuery.product = productId;
+
+    const serials = await SerialNumber.find(serialQuery)
+      .populate('product', 'name sku')
+      .populate('lot', 'lotNumber expiryDate supplier')
+      .populate('location', 'name code')
+      .populate('bill', 'billNumber')
+      .populate('issuedTo', 'firstName lastName username');
+
+    if (serials.length === 0) {
+      return res.status(404).json({ message: 'Serial number not found' });
+    }
+
+    const movementQuery = { serialNumbers: req.params.serial };
+    if (productId) movementQuery.product = productId;
+
+    const history = await InventoryTransaction.find(movementQuery)
+      .select('-serialNumbers')
+      .sort({ createdAt: 1 })
+      .populate('product', 'name sku')
+      .populate('location', 'name code')
+      .populate('bill', 'billNumber')
+      .populate('performedBy', 'firstName lastName username');
+
+    res.json({ serialNumbers: serials, history });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stock valuation as of a date (FIFO or weighted average)
+router.get('/valuation', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { asOf, method = 'FIFO', category } = req.query;
+
+    if (!['FIFO', 'WAVG'].includes(method)) {
+      return res.status(400).json({ message: 'Method must be FIFO or WAVG' });
+    }
+
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+    if (isNaN(asOfDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid asOf date' });
+    }
+
+    const productQuery = {};
+    if (category) productQuery.category = category;
+
+    const valuation = await valueInventory({ asOf: asOfDate, method, productQuery });
+
+    res.json({
+      asOf: asOfDate,
+      method,
+      ...valuation
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reconcile stored stock levels against the transaction ledger
+router.get('/reconciliation', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { category, all } = req.query;
+
+    const query = { isActive: true };
+    if (category) query.category = category;
+
+    const products = await Product.find(query).select('name sku stockCount stockByLocation');
+
+    const results = [];
+    for (const product of products) {
+      const result = await reconcileProduct(product);
+      if (all === 'true' || result.mismatched || result.chainBreaks > 0) {
+        // Chain breaks are only listed in the per-product report
+        results.push({ ...result, lines: undefined });
+      }
+    }
+
+    res.json({
+      checked: products.length,
+      mismatched: results.filter(result => result.mismatched).length,
+      products: results
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reconciliation detail for one product
+router.get('/reconciliation/:productId', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId)
+      .select('name sku stockCount stockByLocation');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json(await reconcileProduct(product));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Repair a ledger mismatch with a corrective transaction. `ledger` mode records
+// an ADJUSTMENT bringing the ledger to the stored stock (stock is unchanged);
+// `stock` mode sets the stored stock back to the ledger balance. The product is
+// reconciled again before the repair is committed.
+router.post('/reconciliation/:productId/repair', auth, authorize('superadmin'), [
+  body('locationId').isMongoId(),
+  body('variantId').isMongoId().optional(),
+  body('mode').isIn(['ledger', 'stock']),
+  body('expectedDifference').isInt(),
+  body('reason').notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { locationId, variantId, mode, reason, notes } = req.body;
+    const expectedDifference = parseInt(req.body.expectedDifference);
+
+    const result = await mongoose.connection.transaction(async (session) => {
+      const product = await Product.findById(req.params.productId).session(session);
+      if (!product) {
+        throw new HttpError(404, 'Product not found');
+      }
+
+      const location = await resolveLocation(locationId, session);
+      if (!location) {
+        throw new HttpError(404, 'Location not found');
+      }
+
+      // The report line (or stock entry) for this location and variant
+      const isTarget = (entry) =>
+        entry.location.toString() === location._id.toString() &&
+        (entry.variant ? entry.variant.toString() : undefined) === variantId;
+
+      const report = await reconcileProduct(product, session);
+      const line = report.lines.find(isTarget);
+
+      // Guard against repairing twice or repairing a difference that has since changed
+      if (!line || line.difference === null || line.difference === 0) {
+        throw new HttpError(400, 'Nothing to repair at this location');
+      }
+      if (line.difference !== expectedDifference) {
+        throw new HttpError(409, `Difference is now ${line.difference}, expected ${expectedDifference}; review the report again`);
+      }
+
+      // The stored stock is written directly: a movement would add the same
+      // change to the ledger and leave the gap. The entry records the repair
+      // without moving the ledger balance. Lots, serials and cost layers are
+      // left as they are.
+      if (mode === 'stock') {
+        const entry = product.stockByLocation.find(isTarget);
+        if (entry) {
+          entry.quantity = line.ledger;
+        } else {
+          product.stockByLocation.push({ location: location._id, variant: variantId, quantity: line.ledger });
+        }
+        await product.save({ session });
+      }
+
+      const [corrective] = await InventoryTransaction.create([{
+        product: product._id,
+        variant: variantId,
+        location: location._id,
+        type: 'ADJUSTMENT',
+        quantity: mode === 'stock' ? 0 : line.difference,
+        previousStock: line.ledger,
+        newStock: mode === 'stock' ? line.ledger : line.stock,
+        reason,
+        reference: 'RECONCILIATION',
+        notes,
+        performedBy: req.user._id
+      }], { session });
+
+      const repaired = (await reconcileProduct(product, session)).lines.find(isTarget);
+      if (repaired && repaired.difference !== 0) {
+        throw new Error(`Reconciliation still differs by ${repaired.difference} after repair`);
+      }
+
+      return { transaction: corrective, line: repaired };
+    });
+
+    res.json({
+      message: 'Ledger repaired successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Location = require('../model/location');
+const Product = require('../model/Products');
+const { auth, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Two requests with the same code can both pass the lookup; the unique index
+// rejects the second one
+const isDuplicateCode = (error) => error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.code);
+
+// Get all locations
+router.get('/', auth, async (req, res) => {
+  try {
+    const { type, isActive } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const locations = await Location.find(query).sort({ isDefault: -1, name: 1 });
+
+    res.json({ locations });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single location with its stock levels
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName username');
+
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const products = await Product.find({
+      isActive: true,
+      'stockByLocation.location': location._id
+    }).select('name sku stockCount stockByLocation');
+
+    const stock = products.map(product => ({
+      product: { _id: product._id, name: product.name, sku: product.sku },
+      quantity: product.stockByLocation
+        .filter(entry => entry.location.toString() === location._id.toString())
+        .reduce((sum, entry) => sum + entry.quantity, 0),
+      totalStock: product.stockCount
+    }));
+
+    res.json({
+      location,
+      stock,
+      totalUnits: stock.reduce((sum, entry) => sum + entry.quantity, 0)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create location
+router.post('/', auth, checkPermission('canManageInventory'), [
+  body('name').notEmpty().trim(),
+  body('code').notEmpty().trim(),
+  body('type').isIn(['WAREHOUSE', 'STORE']).optional(),
+  body('isDefault').isBoolean().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, code, type, address, isDefault } = req.body;
+
+    const existingLocation = await Location.findOne({ code: code.toUpperCase() });
+    if (existingLocation) {
+      return res.status(400).json({ message: 'Location code already exists' });
+    }
+
+    const location = new Location({
+      name,
+      code,
+      type,
+      address,
+      isDefault,
+      createdBy: req.user._id
+    });
+
+    await location.save();
+
+    res.status(201).json({
+      message: 'Location created successfully',
+      location
+    });
+  } catch (error) {
+    if (isDuplicateCode(error)) {
+      return res.status(400).json({ message: 'Location code already exists' });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update location
+router.put('/:id', auth, checkPermission('canManageInventory'), [
+  body('name').optional().notEmpty().trim(),
+  body('type').isIn(['WAREHOUSE', 'STORE']).optional(),
+  body('isDefault').isBoolean().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const allowedUpdates = ['name', 'type', 'address', 'isDefault'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        location[field] = req.body[field];
+      }
+    });
+
+    await location.save();
+
+    res.json({
+      message: 'Location updated successfully',
+      location
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete location (soft delete, only when empty)
+router.delete('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    if (location.isDefault) {
+      return res.status(400).json({ message: 'Cannot delete the default location' });
+    }
+
+    const stocked = await Product.exists({
+      stockByLocation: { $elemMatch: { location: location._id, quantity: { $gt: 0 } } }
+    });
+    if (stocked) {
+      return res.status(400).json({ message: 'Location still holds stock; transfer it out first' });
+    }
+
+    location.isActive = false;
+    await location.save();
+
+    res.json({ message: 'Location deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
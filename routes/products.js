@@ -1,73 +1,148 @@
 const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Product = require('../model/Products');
+const PriceHistory = require('../model/priceHistory');
+const PriceSchedule = require('../model/priceSchedule');
+const Bill = require('../model/Bills');
 const { auth, checkPermission } = require('../middleware/auth');
+const { getDefaultLocation, applyStockMovement } = require('../utils/stock');
+const HttpError = require('../utils/httpError');
+const { withAvailability } = require('../utils/reservations');
+const { importUpload, imageUpload } = require('../middleware/upload');
+const { getStorage, removeStoredFiles } = require('../utils/storage');
+const { findCatalogue, listCatalogue, inOrder, catalogueFacets } = require('../utils/search');
+const { startPriceSchedule, endPriceSchedule } = require('../jobs/priceScheduler');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { CSV_COLUMNS, toCsvRow, toJsonRecord, importProducts } = require('../utils/productImport');
 
 const router = express.Router();
 
-// Get all products
+// Get all products. `search` ranks matches by relevance (typos and partial
+// words allowed); category, color and size take comma-separated values. The
+// facets block counts matches per filter value for the storefront sidebar.
 router.get('/', async (req, res) => {
   try {
     const { 
       page = 1, 
       limit = 10, 
-      search, 
-      category, 
-      inStock,
-      minPrice,
-      maxPrice,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortBy,
+      sortOrder = 'desc',
+      facets = 'true'
     } = req.query;
 
-    const query = { isActive: true };
+    const catalogue = await findCatalogue(req.query);
+    const { ids, total } = await listCatalogue(catalogue, {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      sortBy,
+      sortOrder
+    });
 
-    // Search filter
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { sku: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const products = inOrder(await Product.find({ _id: { $in: ids } })
+      .populate('createdBy', 'firstName lastName username')
+      .populate('stockByLocation.location', 'name code type'), ids);
 
-    // Category filter
-    if (category) {
-      query.category = category;
+    const listed = await withAvailability(products);
+    if (catalogue.scores) {
+      listed.forEach(product => {
+        product.relevance = catalogue.scores.get(product._id.toString());
+      });
     }
 
-    // Stock filter
-    if (inStock !== undefined) {
-      query.inStock = inStock === 'true';
+    res.json({
+      products: listed,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      },
+      ...(facets !== 'false' && { facets: await catalogueFacets(catalogue) })
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Price filter
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+// Export the filtered product list as CSV or JSON, in the format the import accepts
+router.get('/export', auth, checkPermission('canManageProducts'), async (req, res) => {
+  try {
+    const { format = 'csv', sortBy, sortOrder = 'desc' } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'format must be csv or json' });
     }
 
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const { ids } = await listCatalogue(await findCatalogue(req.query), { sortBy, sortOrder });
+    const products = inOrder(await Product.find({ _id: { $in: ids } }), ids);
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
 
-    const products = await Product.find(query)
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('createdBy', 'firstName lastName username');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json(products.map(toJsonRecord));
+    }
+    res.type('text/csv').send(toCsv(CSV_COLUMNS, products.map(toCsvRow)));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const total = await Product.countDocuments(query);
+// Import products from a CSV or JSON file (field "file"), or a JSON body of
+// { products: [...] }. Rows are matched on sku: existing products are updated,
+// new ones created. dryRun=true only reports what would happen.
+router.post('/import', auth, checkPermission('canManageProducts'), importUpload, async (req, res) => {
+  try {
+    const options = { ...req.query, ...req.body };
+    const dryRun = String(options.dryRun) === 'true';
+    const skipInvalid = String(options.skipInvalid) === 'true';
 
-    res.json({
-      products,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
+    let records;
+    let format;
+    if (req.file) {
+      const text = req.file.buffer.toString('utf8');
+      if (path.extname(req.file.originalname).toLowerCase() === '.csv') {
+        format = 'csv';
+        records = parseCsv(text);
+      } else {
+        format = 'json';
+        try {
+          records = JSON.parse(text);
+        } catch (error) {
+          return res.status(400).json({ message: `Invalid JSON file: ${error.message}` });
+        }
       }
+    } else {
+      format = 'json';
+      records = req.body.products;
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({ message: 'Provide a CSV or JSON file, or a products array, with at least one row' });
+    }
+
+    const report = await importProducts({ records, format, dryRun, skipInvalid, user: req.user });
+
+    if (!report.dryRun && !report.applied && report.failed > 0) {
+      return res.status(400).json({ message: 'Import has invalid rows; nothing was imported', ...report });
+    }
+
+    res.status(report.applied && report.created > 0 ? 201 : 200).json({
+      message: report.dryRun ? 'Import checked' : 'Products imported successfully',
+      ...report
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -78,13 +153,15 @@ router.get('/:id', async (req, res) => {
   try {
     const product = await Product.findById(req.params.id)
       .populate('createdBy', 'firstName lastName username')
-      .populate('updatedBy', 'firstName lastName username');
+      .populate('updatedBy', 'firstName lastName username')
+      .populate('stockByLocation.location', 'name code type');
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    res.json(product);
+    const [withStock] = await withAvailability([product]);
+    res.json(withStock);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -96,10 +173,19 @@ router.post('/', auth, checkPermission('canManageProducts'), [
   body('name').notEmpty().trim(),
   body('price').isFloat({ min: 0 }),
   body('originalPrice').isFloat({ min: 0 }),
+  body('costPrice').optional().isFloat({ min: 0 }),
   body('stockCount').isInt({ min: 0 }),
   body('sku').notEmpty().trim(),
   body('description').notEmpty().trim(),
-  body('category').isIn(['frames', 'sunglasses', 'reading-glasses', 'accessories'])
+  body('category').isIn(['frames', 'sunglasses', 'reading-glasses', 'accessories']),
+  body('reorderPoint').optional().isInt({ min: 0 }),
+  body('reorderQuantity').optional().isInt({ min: 0 }),
+  body('leadTimeDays').optional().isInt({ min: 0 }),
+  body('variants').optional().isArray(),
+  body('variants.*.sku').notEmpty().trim(),
+  body('variants.*.color').notEmpty().trim(),
+  body('variants.*.size').notEmpty().trim(),
+  body('variants.*.stockCount').optional().isInt({ min: 0 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -113,19 +199,56 @@ router.post('/', auth, checkPermission('canManageProducts'), [
       return res.status(400).json({ message: 'SKU already exists' });
     }
 
-    const product = new Product({
-      ...req.body,
-      createdBy: req.user._id
+    // Rating and reviews come from approved reviews
+    const { stockCount, stockByLocation, variants = [], images = [], rating, reviews, ...fields } = req.body;
+
+    // Opening stock is booked into the default location as IN transactions,
+    // so the inventory ledger accounts for every unit from the start
+    const created = await mongoose.connection.transaction(async (session) => {
+      const [product] = await Product.create([{
+        ...fields,
+        variants: variants.map(({ stockCount: variantStock, ...variant }) => variant),
+        images: images.map(Product.externalImage),
+        stockCount: 0,
+        createdBy: req.user._id
+      }], { session });
+
+      const opening = product.variants.length > 0
+        ? product.variants
+          .map((variant, index) => ({ variant: variant._id, quantity: parseInt(variants[index].stockCount) || 0 }))
+          .filter(entry => entry.quantity > 0)
+        : [{ quantity: parseInt(stockCount) }].filter(entry => entry.quantity > 0);
+
+      if (opening.length > 0) {
+        const location = await getDefaultLocation(session);
+        for (const entry of opening) {
+          await applyStockMovement({
+            product: product._id,
+            variant: entry.variant,
+            location,
+            type: 'IN',
+            delta: entry.quantity,
+            reason: 'Opening stock',
+            performedBy: req.user._id,
+            session
+          });
+        }
+      }
+
+      return product;
     });
 
-    await product.save();
-    await product.populate('createdBy', 'firstName lastName username');
+    const product = await Product.findById(created._id)
+      .populate('createdBy', 'firstName lastName username');
 
     res.status(201).json({
       message: 'Product created successfully',
       product
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -147,10 +270,21 @@ router.put('/:id', auth, checkPermission('canManageProducts'), async (req, res)
       }
     }
 
-    Object.assign(product, req.body);
+    // Stock only changes through the inventory routes, so every change is in the ledger
+    if (req.body.stockCount !== undefined && Number(req.body.stockCount) !== product.stockCount) {
+      return res.status(400).json({ message: 'Use the inventory endpoints to change stock levels' });
+    }
+
+    // Variants and per-location stock have their own endpoints, and rating and
+    // reviews are recalculated from approved reviews
+    const { variants, stockByLocation, stockCount, inStock, images, rating, reviews, ...updates } = req.body;
+
+    Object.assign(product, updates);
+    const removedKeys = Array.isArray(images) ? product.replaceImages(images) : [];
     product.updatedBy = req.user._id;
 
     await product.save();
+    await removeStoredFiles(removedKeys);
     await product.populate('createdBy', 'firstName lastName username');
     await product.populate('updatedBy', 'firstName lastName username');
 
@@ -164,6 +298,486 @@ router.put('/:id', auth, checkPermission('canManageProducts'), async (req, res)
   }
 });
 
+// Upload images (multipart field "images"); they are added after the existing ones
+router.post('/:id/images', auth, checkPermission('canManageProducts'), imageUpload, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No images uploaded' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const storage = getStorage();
+    const stored = [];
+    try {
+      for (const file of req.files) {
+        const key = `products/${product._id}/${crypto.randomBytes(16).toString('hex')}${file.imageType.extension}`;
+        const url = await storage.save(key, file.buffer, { contentType: file.imageType.contentType });
+        stored.push({
+          url,
+          key,
+          contentType: file.imageType.contentType,
+          size: file.size,
+          uploadedBy: req.user._id
+        });
+      }
+
+      product.images.push(...stored);
+      product.updatedBy = req.user._id;
+      await product.save();
+    } catch (error) {
+      // Nothing references the new files if the product was not saved
+      await removeStoredFiles(stored.map(image => image.key));
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Images uploaded successfully',
+      images: product.images
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reorder images; imageIds must list every image of the product
+router.put('/:id/images/order', auth, checkPermission('canManageProducts'), [
+  body('imageIds').isArray({ min: 1 }),
+  body('imageIds.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { imageIds } = req.body;
+    const current = product.images.map(image => image._id.toString());
+    if (imageIds.length !== current.length || new Set(imageIds).size !== imageIds.length ||
+      !imageIds.every(id => current.includes(id))) {
+      return res.status(400).json({ message: 'imageIds must list each of the product\'s images once' });
+    }
+
+    product.images = imageIds.map(id => product.images.id(id).toObject());
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    res.json({
+      message: 'Images reordered successfully',
+      images: product.images
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark an image as the primary one
+router.put('/:id/images/:imageId/primary', auth, checkPermission('canManageProducts'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    product.images.forEach(entry => {
+      entry.isPrimary = entry === image;
+    });
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    res.json({
+      message: 'Primary image updated successfully',
+      images: product.images
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove an image, deleting the file if it was uploaded
+router.delete('/:id/images/:imageId', auth, checkPermission('canManageProducts'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const { key } = image;
+    image.deleteOne();
+    product.updatedBy = req.user._id;
+    await product.save();
+    await removeStoredFiles([key]);
+
+    res.json({
+      message: 'Image deleted successfully',
+      images: product.images
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Price history, newest first
+router.get('/:id/price-history', auth, checkPermission('canManageProducts'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const product = await Product.findById(req.params.id).select('name sku price');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = { product: product._id };
+    const history = await PriceHistory.find(query)
+      .sort({ effectiveAt: -1, _id: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('changedBy', 'firstName lastName username')
+      .populate('schedule', 'price startsAt endsAt status');
+
+    const total = await PriceHistory.countDocuments(query);
+
+    res.json({
+      product,
+      history,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The price in effect at a given time (?at=ISO date), or when a bill was
+// issued (?billId=), alongside what the bill charged for the product
+router.get('/:id/price', auth, checkPermission('canManageProducts'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku price originalPrice');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    let at = req.query.at ? new Date(req.query.at) : new Date();
+    let billed;
+    if (req.query.billId) {
+      const bill = await Bill.findById(req.query.billId).select('billNumber createdAt items');
+      if (!bill) {
+        return res.status(404).json({ message: 'Bill not found' });
+      }
+      at = bill.createdAt;
+      billed = {
+        billNumber: bill.billNumber,
+        lines: bill.items
+          .filter(item => item.product.toString() === product._id.toString())
+          .map(({ sku, quantity, unitPrice }) => ({ sku, quantity, unitPrice }))
+      };
+    }
+
+    if (Number.isNaN(at.getTime())) {
+      return res.status(400).json({ message: 'at must be a valid date' });
+    }
+
+    const entry = await PriceHistory.findOne({ product: product._id, effectiveAt: { $lte: at } })
+      .sort({ effectiveAt: -1, _id: -1 })
+      .populate('changedBy', 'firstName lastName username');
+
+    if (!entry) {
+      // Without any history the price has never changed since history began
+      if (await PriceHistory.exists({ product: product._id })) {
+        return res.status(404).json({ message: `No price recorded on or before ${at.toISOString()}` });
+      }
+      return res.json({ product, at, price: product.price, recorded: false, billed });
+    }
+
+    res.json({
+      product,
+      at,
+      price: entry.price,
+      originalPrice: entry.originalPrice,
+      effectiveAt: entry.effectiveAt,
+      source: entry.source,
+      changedBy: entry.changedBy,
+      recorded: true,
+      billed
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a product's scheduled price changes
+router.get('/:id/price-schedules', auth, checkPermission('canManageProducts'), async (req, res) => {
+  try {
+    const query = { product: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const schedules = await PriceSchedule.find(query)
+      .sort({ startsAt: -1 })
+      .populate('createdBy', 'firstName lastName username')
+      .populate('cancelledBy', 'firstName lastName username');
+
+    res.json(schedules);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Schedule a price change. Without endsAt the new price stays; with it the
+// previous price comes back at endsAt. A start time already past applies now.
+router.post('/:id/price-schedules', auth, checkPermission('canManageProducts'), [
+  body('price').isFloat({ min: 0 }).toFloat(),
+  body('startsAt').isISO8601().toDate(),
+  body('endsAt').optional().isISO8601().toDate(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { price, startsAt, endsAt, notes } = req.body;
+    const now = new Date();
+
+    if (endsAt && endsAt <= startsAt) {
+      return res.status(400).json({ message: 'endsAt must be after startsAt' });
+    }
+    if (endsAt && endsAt <= now) {
+      return res.status(400).json({ message: 'endsAt must be in the future' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    // Schedules of one product may not overlap, or reverting one would undo the other
+    const overlapping = await PriceSchedule.findOne({
+      product: product._id,
+      status: { $in: ['SCHEDULED', 'ACTIVE'] },
+      ...(endsAt && { startsAt: { $lt: endsAt } }),
+      $or: [{ endsAt: null }, { endsAt: { $gt: startsAt } }]
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        message: 'Overlaps another scheduled price change for this product',
+        schedule: overlapping
+      });
+    }
+
+    let schedule = await PriceSchedule.create({
+      product: product._id,
+      price,
+      startsAt,
+      endsAt,
+      notes,
+      createdBy: req.user._id
+    });
+
+    if (startsAt <= now) {
+      schedule = await startPriceSchedule(schedule._id, now) || schedule;
+    }
+
+    res.status(201).json({
+      message: 'Price change scheduled successfully',
+      schedule
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a scheduled price change; one already running is reverted now
+router.post('/:id/price-schedules/:scheduleId/cancel', auth, checkPermission('canManageProducts'), async (req, res) => {
+  try {
+    let schedule = await PriceSchedule.findOne({ _id: req.params.scheduleId, product: req.params.id });
+    if (!schedule) {
+      return res.status(404).json({ message: 'Price schedule not found' });
+    }
+
+    if (schedule.status === 'SCHEDULED') {
+      schedule.status = 'CANCELLED';
+      schedule.cancelledAt = new Date();
+      schedule.cancelledBy = req.user._id;
+      await schedule.save();
+    } else if (schedule.status === 'ACTIVE') {
+      schedule = await endPriceSchedule(schedule._id, { cancelledBy: req.user._id }) || schedule;
+    } else {
+      return res.status(400).json({ message: `Cannot cancel a ${schedule.status} price schedule` });
+    }
+
+    res.json({
+      message: 'Price schedule cancelled successfully',
+      schedule
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a colour/size variant
+router.post('/:id/variants', auth, checkPermission('canManageProducts'), [
+  body('color').notEmpty().trim(),
+  body('size').notEmpty().trim(),
+  body('sku').notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { color, size, sku } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (!product.colors.some(c => c.name === color)) {
+      return res.status(400).json({ message: `Unknown colour: ${color}` });
+    }
+    if (!product.sizes.some(s => s.name === size)) {
+      return res.status(400).json({ message: `Unknown size: ${size}` });
+    }
+    if (product.variants.some(v => v.color === color && v.size === size)) {
+      return res.status(400).json({ message: 'Variant already exists' });
+    }
+
+    // Stock held at product level cannot be split across variants automatically
+    const productLevelStock = product.stockByLocation.length > 0
+      ? product.stockByLocation.filter(e => !e.variant).reduce((sum, e) => sum + e.quantity, 0)
+      : product.stockCount;
+    if (product.variants.length === 0 && productLevelStock > 0) {
+      return res.status(400).json({
+        message: 'Product has stock that is not assigned to a variant; adjust it to zero before adding variants'
+      });
+    }
+
+    const existingSku = await Product.exists({ $or: [{ sku }, { 'variants.sku': sku }] });
+    if (existingSku) {
+      return res.status(400).json({ message: 'SKU already exists' });
+    }
+
+    product.variants.push({ color, size, sku });
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    res.status(201).json({
+      message: 'Variant created successfully',
+      variant: product.variants[product.variants.length - 1]
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a variant
+router.put('/:id/variants/:variantId', auth, checkPermission('canManageProducts'), [
+  body('sku').optional().notEmpty().trim(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const { sku, isActive } = req.body;
+
+    if (sku && sku !== variant.sku) {
+      const existingSku = await Product.exists({ $or: [{ sku }, { 'variants.sku': sku }] });
+      if (existingSku) {
+        return res.status(400).json({ message: 'SKU already exists' });
+      }
+      variant.sku = sku;
+    }
+    if (isActive !== undefined) variant.isActive = isActive;
+
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    res.json({
+      message: 'Variant updated successfully',
+      variant
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a variant (only when it holds no stock)
+router.delete('/:id/variants/:variantId', auth, checkPermission('canManageProducts'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    if (variant.stockCount > 0) {
+      return res.status(400).json({ message: 'Variant still holds stock' });
+    }
+
+    product.stockByLocation = product.stockByLocation
+      .filter(e => !e.variant || e.variant.toString() !== variant._id.toString());
+    variant.deleteOne();
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    res.json({ message: 'Variant deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete product (soft delete)
 router.delete('/:id', auth, checkPermission('canManageProducts'), async (req, res) => {
   try {
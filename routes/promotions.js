@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Promotion = require('../model/promotion');
+const Product = require('../model/Products');
+const { auth, authorize, checkPermission } = require('../middleware/auth');
+const { loadActivePromotions, applyPromotions } = require('../utils/promotions');
+
+const router = express.Router();
+
+const ruleValidators = [
+  body('products').optional().isArray(),
+  body('products.*').isMongoId(),
+  body('categories').optional().isArray(),
+  body('categories.*').isIn(['frames', 'sunglasses', 'reading-glasses', 'accessories']),
+  body('admins').optional().isArray(),
+  body('admins.*').isMongoId(),
+  body('minQuantity').optional().isInt({ min: 1 }),
+  body('quantityBreaks').optional().isArray(),
+  body('quantityBreaks.*.minQuantity').isInt({ min: 1 }),
+  body('quantityBreaks.*.value').isFloat({ min: 0 }),
+  body('startsAt').optional({ values: 'null' }).isISO8601().toDate(),
+  body('endsAt').optional({ values: 'null' }).isISO8601().toDate(),
+  body('stackable').optional().isBoolean()
+];
+
+// Percentages above 100 and end dates before start dates are never intended
+const checkPromotion = (promotion) => {
+  const values = [promotion.value, ...promotion.quantityBreaks.map(tier => tier.value)];
+  if (promotion.valueType === 'PERCENTAGE' && values.some(value => value > 100)) {
+    return 'Percentage discounts cannot exceed 100';
+  }
+  if (promotion.startsAt && promotion.endsAt && promotion.endsAt < promotion.startsAt) {
+    return 'endsAt must be after startsAt';
+  }
+  return null;
+};
+
+// Get promotions
+router.get('/', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      isActive,
+      current
+    } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    if (current === 'true') {
+      const promotions = await loadActivePromotions();
+      return res.json({ promotions });
+    }
+
+    const promotions = await Promotion.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Promotion.countDocuments(query);
+
+    res.json({
+      promotions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Preview the promotions a set of lines would get if billed now
+router.post('/preview', auth, authorize('superadmin'), [
+  body('adminId').isMongoId(),
+  body('items').isArray({ min: 1 }),
+  body('items.*.product').isMongoId(),
+  body('items.*.quantity').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { adminId, items } = req.body;
+
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+      .select('name sku price category');
+    const lines = [];
+    for (const item of items) {
+      const product = products.find(p => p._id.toString() === item.product);
+      if (!product) {
+        return res.status(404).json({ message: `Product not found: ${item.product}` });
+      }
+      lines.push({ product: product._id, category: product.category, quantity: item.quantity, unitPrice: product.price });
+    }
+
+    const promotions = await loadActivePromotions();
+    const applied = applyPromotions(promotions, lines, adminId);
+
+    res.json({
+      items: lines.map((line, index) => ({
+        product: line.product,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        totalPrice: line.unitPrice * line.quantity,
+        ...applied[index]
+      })),
+      promotionDiscount: Math.round(applied.reduce((sum, line) => sum + line.discountAmount, 0) * 100) / 100
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single promotion
+router.get('/:id', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('products', 'name sku')
+      .populate('admins', 'firstName lastName username')
+      .populate('createdBy', 'firstName lastName username');
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.json(promotion);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create promotion
+router.post('/', auth, authorize('superadmin'), [
+  body('name').notEmpty().trim(),
+  body('valueType').isIn(['PERCENTAGE', 'FIXED']),
+  body('value').isFloat({ min: 0 }),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      name, description, valueType, value, products, categories, admins,
+      minQuantity, quantityBreaks, startsAt, endsAt, stackable
+    } = req.body;
+
+    const promotion = new Promotion({
+      name,
+      description,
+      valueType,
+      value,
+      products,
+      categories,
+      admins,
+      minQuantity,
+      quantityBreaks,
+      startsAt,
+      endsAt,
+      stackable,
+      createdBy: req.user._id
+    });
+
+    const invalid = checkPromotion(promotion);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    await promotion.save();
+
+    res.status(201).json({
+      message: 'Promotion created successfully',
+      promotion
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update promotion (bills already generated keep the discounts recorded on them)
+router.put('/:id', auth, authorize('superadmin'), [
+  body('name').optional().notEmpty().trim(),
+  body('valueType').optional().isIn(['PERCENTAGE', 'FIXED']),
+  body('value').optional().isFloat({ min: 0 }),
+  body('isActive').optional().isBoolean(),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const allowedUpdates = [
+      'name', 'description', 'valueType', 'value', 'products', 'categories', 'admins',
+      'minQuantity', 'quantityBreaks', 'startsAt', 'endsAt', 'stackable', 'isActive'
+    ];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        promotion[field] = req.body[field];
+      }
+    });
+    promotion.updatedBy = req.user._id;
+
+    const invalid = checkPromotion(promotion);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    await promotion.save();
+
+    res.json({
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete promotion (soft delete)
+router.delete('/:id', auth, authorize('superadmin'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    promotion.isActive = false;
+    promotion.updatedBy = req.user._id;
+    await promotion.save();
+
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
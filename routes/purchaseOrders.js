@@ -0,0 +1,444 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const PurchaseOrder = require('../model/purchaseOrder');
+const Supplier = require('../model/supplier');
+const Product = require('../model/Products');
+const InventoryTransaction = require('../model/inventory');
+const { auth, checkPermission } = require('../middleware/auth');
+const { resolveLocation, applyStockMovement } = require('../utils/stock');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+const populatePurchaseOrder = async (purchaseOrder) => {
+  await purchaseOrder.populate('supplier', 'name code');
+  await purchaseOrder.populate('location', 'name code');
+  await purchaseOrder.populate('items.product', 'name sku');
+  await purchaseOrder.populate('createdBy', 'firstName lastName username');
+};
+
+// Order lines from the request, checking each product exists and has a
+// valid variant when it is sold in variants
+const toOrderLines = async (items) => {
+  for (const item of items) {
+    const product = await Product.findById(item.product).select('name variants');
+    if (!product) {
+      throw new HttpError(404, `Product not found: ${item.product}`);
+    }
+    if (product.variants.length > 0 && !product.variants.id(item.variant)) {
+      throw new HttpError(400, `A valid variant is required for ${product.name}`);
+    }
+  }
+  return items.map(({ product, variant, quantity, unitCost }) => ({ product, variant, quantity, unitCost }));
+};
+
+// Get purchase orders
+router.get('/', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      status,
+      supplierId,
+      startDate,
+      endDate
+    } = req.query;
+
+    const query = {};
+
+    if (status) query.status = status;
+    if (supplierId) query.supplier = supplierId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('supplier', 'name code')
+      .populate('location', 'name code')
+      .populate('items.product', 'name sku');
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.json({
+      purchaseOrders,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Outstanding quantities per supplier
+router.get('/reports/outstanding', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { supplierId } = req.query;
+
+    const matchStage = { status: { $in: ['ORDERED', 'PARTIALLY_RECEIVED'] } };
+    if (supplierId) {
+      if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+        return res.status(400).json({ message: 'Invalid supplier id' });
+      }
+      matchStage.supplier = new mongoose.Types.ObjectId(supplierId);
+    }
+
+    const suppliers = await PurchaseOrder.aggregate([
+      { $match: matchStage },
+      { $unwind: '$items' },
+      {
+        $project: {
+          supplier: 1,
+          poNumber: 1,
+          expectedDate: 1,
+          product: '$items.product',
+          unitCost: '$items.unitCost',
+          ordered: '$items.quantity',
+          received: '$items.receivedQuantity',
+          outstanding: { $subtract: ['$items.quantity', '$items.receivedQuantity'] }
+        }
+      },
+      { $match: { outstanding: { $gt: 0 } } },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'product',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, sku: 1 } }],
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
+      {
+        $group: {
+          _id: '$supplier',
+          purchaseOrders: { $addToSet: '$poNumber' },
+          outstandingQuantity: { $sum: '$outstanding' },
+          outstandingValue: { $sum: { $multiply: ['$outstanding', '$unitCost'] } },
+          lines: {
+            $push: {
+              poNumber: '$poNumber',
+              expectedDate: '$expectedDate',
+              product: '$product',
+              ordered: '$ordered',
+              received: '$received',
+              outstanding: '$outstanding'
+            }
+          }
+        }
+      },
+      {
+        $lookup: {
+          from: 'suppliers',
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, code: 1 } }],
+          as: 'supplier'
+        }
+      },
+      { $unwind: '$supplier' },
+      { $project: { _id: 0 } },
+      { $sort: { outstandingValue: -1 } }
+    ]);
+
+    res.json({ suppliers });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single purchase order
+router.get('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    await populatePurchaseOrder(purchaseOrder);
+
+    const receipts = await InventoryTransaction.find({ purchaseOrder: purchaseOrder._id })
+      .sort({ createdAt: 1 })
+      .populate('product', 'name sku')
+      .populate('location', 'name code')
+      .populate('performedBy', 'firstName lastName username');
+
+    res.json({ purchaseOrder, receipts });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create purchase order (as DRAFT)
+router.post('/', auth, checkPermission('canManageInventory'), [
+  body('supplierId').isMongoId(),
+  body('locationId').isMongoId().optional(),
+  body('items').isArray({ min: 1 }),
+  body('items.*.product').isMongoId(),
+  body('items.*.variant').isMongoId().optional(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.unitCost').isFloat({ min: 0 }),
+  body('expectedDate').isISO8601().toDate().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { supplierId, locationId, items, expectedDate, notes } = req.body;
+
+    const supplier = await Supplier.findOne({ _id: supplierId, isActive: true });
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const location = await resolveLocation(locationId);
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const purchaseOrder = new PurchaseOrder({
+      supplier: supplier._id,
+      location: location._id,
+      items: await toOrderLines(items),
+      expectedDate,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await purchaseOrder.save();
+    await populatePurchaseOrder(purchaseOrder);
+
+    res.status(201).json({
+      message: 'Purchase order created successfully',
+      purchaseOrder
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update purchase order (DRAFT only)
+router.put('/:id', auth, checkPermission('canManageInventory'), [
+  body('locationId').isMongoId().optional(),
+  body('items').isArray({ min: 1 }).optional(),
+  body('items.*.product').isMongoId(),
+  body('items.*.variant').isMongoId().optional(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.unitCost').isFloat({ min: 0 }),
+  body('expectedDate').isISO8601().toDate().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (purchaseOrder.status !== 'DRAFT') {
+      return res.status(400).json({ message: 'Only draft purchase orders can be edited' });
+    }
+
+    const { locationId, items, expectedDate, notes } = req.body;
+
+    if (locationId) {
+      const location = await resolveLocation(locationId);
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+      purchaseOrder.location = location._id;
+    }
+    if (items) {
+      purchaseOrder.items = await toOrderLines(items);
+    }
+    if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+    purchaseOrder.updatedBy = req.user._id;
+
+    await purchaseOrder.save();
+    await populatePurchaseOrder(purchaseOrder);
+
+    res.json({
+      message: 'Purchase order updated successfully',
+      purchaseOrder
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Place purchase order with the supplier
+router.post('/:id/order', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (purchaseOrder.status !== 'DRAFT') {
+      return res.status(400).json({ message: `Cannot order a ${purchaseOrder.status} purchase order` });
+    }
+
+    purchaseOrder.status = 'ORDERED';
+    purchaseOrder.orderedAt = new Date();
+    purchaseOrder.updatedBy = req.user._id;
+    await purchaseOrder.save();
+
+    res.json({
+      message: 'Purchase order placed successfully',
+      purchaseOrder
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel purchase order (anything not yet received stays unreceived)
+router.post('/:id/cancel', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (!['DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED'].includes(purchaseOrder.status)) {
+      return res.status(400).json({ message: `Cannot cancel a ${purchaseOrder.status} purchase order` });
+    }
+
+    purchaseOrder.status = 'CANCELLED';
+    purchaseOrder.cancelledAt = new Date();
+    purchaseOrder.updatedBy = req.user._id;
+    if (req.body.notes) purchaseOrder.notes = req.body.notes;
+    await purchaseOrder.save();
+
+    res.json({
+      message: 'Purchase order cancelled successfully',
+      purchaseOrder
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Receive goods against purchase order lines
+router.post('/:id/receive', auth, checkPermission('canManageInventory'), [
+  body('items').isArray({ min: 1 }),
+  body('items.*.lineId').isMongoId(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.lotNumber').optional().trim().notEmpty(),
+  body('items.*.expiryDate').optional().isISO8601().toDate(),
+  body('items.*.serialNumbers').optional().isArray(),
+  body('locationId').isMongoId().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, locationId, notes } = req.body;
+
+    // Stock, receipt transactions and the PO are updated together or not at all
+    const { purchaseOrder, transactions } = await mongoose.connection.transaction(async (session) => {
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+      if (!purchaseOrder) {
+        throw new HttpError(404, 'Purchase order not found');
+      }
+
+      if (!['ORDERED', 'PARTIALLY_RECEIVED'].includes(purchaseOrder.status)) {
+        throw new HttpError(400, `Cannot receive against a ${purchaseOrder.status} purchase order`);
+      }
+
+      const location = await resolveLocation(locationId || purchaseOrder.location, session);
+      if (!location) {
+        throw new HttpError(404, 'Location not found');
+      }
+
+      const transactions = [];
+
+      for (const item of items) {
+        const line = purchaseOrder.items.id(item.lineId);
+        if (!line) {
+          throw new HttpError(404, `Purchase order line not found: ${item.lineId}`);
+        }
+
+        const remaining = line.quantity - line.receivedQuantity;
+        if (item.quantity > remaining) {
+          throw new HttpError(400, `Cannot receive ${item.quantity} on line ${item.lineId}. Outstanding: ${remaining}`);
+        }
+
+        const { transaction } = await applyStockMovement({
+          product: line.product,
+          variant: line.variant,
+          location,
+          type: 'IN',
+          delta: item.quantity,
+          tracking: {
+            lots: item.lotNumber ? [{ lotNumber: item.lotNumber, expiryDate: item.expiryDate, quantity: item.quantity }] : [],
+            serialNumbers: item.serialNumbers,
+            supplier: purchaseOrder.supplier
+          },
+          unitCost: line.unitCost,
+          reason: 'Purchase order receipt',
+          reference: purchaseOrder.poNumber,
+          purchaseOrder: purchaseOrder._id,
+          purchaseOrderLine: line._id,
+          notes,
+          performedBy: req.user._id,
+          session
+        });
+        transactions.push(transaction);
+
+        line.receivedQuantity += item.quantity;
+      }
+
+      purchaseOrder.refreshReceivingStatus();
+      purchaseOrder.updatedBy = req.user._id;
+      await purchaseOrder.save({ session });
+
+      return { purchaseOrder, transactions };
+    });
+
+    await populatePurchaseOrder(purchaseOrder);
+
+    res.json({
+      message: 'Goods received successfully',
+      purchaseOrder,
+      transactions
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
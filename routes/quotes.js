@@ -0,0 +1,415 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Quote = require('../model/quote');
+const User = require('../model/user');
+const { auth, authorize, checkPermission } = require('../middleware/auth');
+const { resolveLocation } = require('../utils/stock');
+const { loadLines, priceLines, issueBill } = require('../utils/billing');
+const { sendMail } = require('../utils/mailer');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const quoteValidators = [
+  body('items.*.product').isMongoId(),
+  body('items.*.variant').isMongoId().optional(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.serialNumbers').optional().isArray(),
+  body('locationId').isMongoId().optional(),
+  body('discount').isFloat({ min: 0 }).optional(),
+  body('expiresAt').isISO8601().toDate().optional(),
+  body('paymentTermsDays').isInt({ min: 0 }).optional()
+];
+
+const populateQuote = async (quote) => {
+  await quote.populate('adminId', 'firstName lastName username email');
+  await quote.populate('location', 'name code');
+  await quote.populate('items.product', 'name sku');
+  await quote.populate('createdBy', 'firstName lastName username');
+};
+
+// Admins only see quotes that were sent to them
+const canView = (user, quote) => user.role === 'superadmin' ||
+  (quote.adminId._id.toString() === user._id.toString() && quote.status !== 'DRAFT');
+
+// Price requested items for the admin and lay them out as quote lines
+const priceQuote = async ({ items, admin, discount }) => {
+  const lines = await loadLines(items);
+  const priced = await priceLines({ lines, admin, discount });
+  priced.items.forEach((line, index) => {
+    line.serialNumbers = items[index].serialNumbers || [];
+  });
+  return priced;
+};
+
+// Get quotes
+router.get('/', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      adminId
+    } = req.query;
+
+    const query = {};
+
+    if (req.user.role !== 'superadmin') {
+      query.adminId = req.user._id;
+      query.status = status && status !== 'DRAFT' ? status : { $ne: 'DRAFT' };
+    } else {
+      if (adminId) query.adminId = adminId;
+      if (status) query.status = status;
+    }
+
+    const quotes = await Quote.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('adminId', 'firstName lastName username email')
+      .populate('items.product', 'name sku');
+
+    const total = await Quote.countDocuments(query);
+
+    res.json({
+      quotes,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single quote
+router.get('/:id', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    await populateQuote(quote);
+    await quote.populate('bill', 'billNumber total status');
+
+    if (!canView(req.user, quote)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(quote);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a draft quote priced at current prices and promotions
+router.post('/', auth, authorize('superadmin'), [
+  body('adminId').isMongoId(),
+  body('items').isArray({ min: 1 }),
+  ...quoteValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { adminId, items, locationId, discount = 0, paymentTermsDays, notes } = req.body;
+    const validityDays = parseInt(process.env.QUOTE_VALIDITY_DAYS) || 14;
+    const expiresAt = req.body.expiresAt || new Date(Date.now() + validityDays * DAY_MS);
+
+    if (expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'expiresAt must be in the future' });
+    }
+
+    const admin = await User.findById(adminId);
+    if (!admin || admin.role !== 'admin') {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    if (locationId && !(await resolveLocation(locationId))) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const priced = await priceQuote({ items, admin, discount });
+
+    const quote = new Quote({
+      adminId,
+      location: locationId,
+      ...priced,
+      expiresAt,
+      paymentTermsDays,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await quote.save();
+    await populateQuote(quote);
+
+    res.status(201).json({
+      message: 'Quote created successfully',
+      quote
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit a quote and price it again; a quote already sent goes back to DRAFT
+router.put('/:id', auth, authorize('superadmin'), [
+  body('items').isArray({ min: 1 }).optional(),
+  ...quoteValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quote = await Quote.findById(req.params.id);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    if (!['DRAFT', 'SENT'].includes(quote.status)) {
+      return res.status(400).json({ message: `Cannot edit a ${quote.status} quote` });
+    }
+
+    const { locationId, expiresAt, paymentTermsDays, notes } = req.body;
+
+    if (locationId && !(await resolveLocation(locationId))) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'expiresAt must be in the future' });
+    }
+
+    const admin = await User.findById(quote.adminId);
+    const items = req.body.items || quote.items.map(item => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      serialNumbers: item.serialNumbers
+    }));
+    const discount = req.body.discount !== undefined ? req.body.discount : quote.discount;
+
+    const priced = await priceQuote({ items, admin, discount });
+    quote.set(priced);
+
+    if (locationId !== undefined) quote.location = locationId;
+    if (expiresAt !== undefined) quote.expiresAt = expiresAt;
+    if (paymentTermsDays !== undefined) quote.paymentTermsDays = paymentTermsDays;
+    if (notes !== undefined) quote.notes = notes;
+    quote.status = 'DRAFT';
+    quote.updatedBy = req.user._id;
+
+    await quote.save();
+    await populateQuote(quote);
+
+    res.json({
+      message: 'Quote updated successfully',
+      quote
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send (or resend) a quote to its admin
+router.post('/:id/send', auth, authorize('superadmin'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    if (!['DRAFT', 'SENT'].includes(quote.status)) {
+      return res.status(400).json({ message: `Cannot send a ${quote.status} quote` });
+    }
+    if (quote.expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'Quote has expired; update its expiry date first' });
+    }
+
+    await populateQuote(quote);
+    if (!quote.adminId || !quote.adminId.email) {
+      return res.status(400).json({ message: 'The admin for this quote has no email address' });
+    }
+
+    const lines = quote.items.map(item =>
+      `${item.quantity} x ${item.product ? item.product.name : item.sku} (${item.sku}) @ ${item.unitPrice}`
+    );
+    let info;
+    try {
+      info = await sendMail({
+        to: quote.adminId.email,
+        subject: `Quote ${quote.quoteNumber}`,
+        text: [
+          `Hello ${quote.adminId.firstName} ${quote.adminId.lastName},`,
+          '',
+          `Please find quote ${quote.quoteNumber} below. It is valid until ${quote.expiresAt.toISOString().slice(0, 10)}.`,
+          '',
+          ...lines,
+          '',
+          `Total: ${quote.total}`
+        ].join('\n')
+      });
+    } catch (error) {
+      // The quote stays as it was, so it can be sent again
+      console.error(`Failed to send quote ${quote.quoteNumber}:`, error.message);
+      return res.status(502).json({ message: `Quote could not be emailed to ${quote.adminId.email}: ${error.message}` });
+    }
+
+    quote.status = 'SENT';
+    quote.sentAt = new Date();
+    await quote.save();
+
+    res.json({
+      message: 'Quote sent successfully',
+      quote,
+      messageId: info.messageId
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept a quote: take the stock and issue the bill at the quoted prices.
+// The admin it was sent to can accept it, and the superadmin can accept a draft directly.
+router.post('/:id/accept', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const result = await mongoose.connection.transaction(async (session) => {
+      const quote = await Quote.findById(req.params.id).session(session);
+      if (!quote) {
+        throw new HttpError(404, 'Quote not found');
+      }
+
+      const isSuperadmin = req.user.role === 'superadmin';
+      if (!isSuperadmin && quote.adminId.toString() !== req.user._id.toString()) {
+        throw new HttpError(403, 'Access denied');
+      }
+
+      const acceptable = isSuperadmin ? ['DRAFT', 'SENT'] : ['SENT'];
+      if (!acceptable.includes(quote.status)) {
+        throw new HttpError(400, `Cannot accept a ${quote.status} quote`);
+      }
+      if (quote.expiresAt <= new Date()) {
+        throw new HttpError(400, `Quote expired on ${quote.expiresAt.toISOString().slice(0, 10)}`);
+      }
+
+      const admin = await User.findById(quote.adminId).session(session);
+      if (!admin || !admin.isActive) {
+        throw new HttpError(404, 'Admin not found');
+      }
+
+      const location = await resolveLocation(quote.location, session);
+      if (!location) {
+        throw new HttpError(400, 'The quote\'s location is no longer active');
+      }
+
+      // Bill at the quoted prices, even if list prices or promotions changed since
+      const priced = {
+        items: quote.items.map(item => {
+          const { _id, serialNumbers, ...line } = item.toObject();
+          return line;
+        }),
+        subtotal: quote.subtotal,
+        promotionDiscount: quote.promotionDiscount,
+        discount: quote.discount,
+        tax: quote.tax,
+        taxRegion: quote.taxRegion,
+        taxBreakdown: quote.taxBreakdown.map(entry => entry.toObject()),
+        total: quote.total
+      };
+
+      let bill;
+      try {
+        bill = await issueBill({
+          admin,
+          priced,
+          location,
+          dueDate: new Date(Date.now() + quote.paymentTermsDays * DAY_MS),
+          notes: quote.notes,
+          serialNumbers: quote.items.map(item => item.serialNumbers),
+          user: req.user,
+          statusReason: `Accepted quote ${quote.quoteNumber}`,
+          quote: quote._id,
+          session
+        });
+      } catch (error) {
+        if (error instanceof HttpError) {
+          throw new HttpError(error.status, `Cannot convert quote ${quote.quoteNumber}: ${error.message}`);
+        }
+        throw error;
+      }
+
+      quote.status = 'ACCEPTED';
+      quote.acceptedAt = new Date();
+      quote.acceptedBy = req.user._id;
+      quote.bill = bill._id;
+      await quote.save({ session });
+
+      return { quote, bill };
+    });
+
+    await result.bill.populate('adminId', 'firstName lastName username email');
+    await result.bill.populate('items.product', 'name sku');
+
+    res.status(201).json({
+      message: 'Quote accepted and bill generated successfully',
+      quote: result.quote,
+      bill: result.bill
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a quote
+router.post('/:id/cancel', auth, authorize('superadmin'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    if (!['DRAFT', 'SENT'].includes(quote.status)) {
+      return res.status(400).json({ message: `Cannot cancel a ${quote.status} quote` });
+    }
+
+    quote.status = 'CANCELLED';
+    quote.cancelledAt = new Date();
+    quote.updatedBy = req.user._id;
+    await quote.save();
+
+    res.json({
+      message: 'Quote cancelled successfully',
+      quote
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
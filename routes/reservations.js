@@ -0,0 +1,241 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Reservation = require('../model/reservation');
+const Product = require('../model/Products');
+const User = require('../model/user');
+const { auth, checkPermission } = require('../middleware/auth');
+const { resolveLocation, seedLocationStock, getLocationStock, resolveVariant } = require('../utils/stock');
+const { activeHoldFilter, getReservedQuantity } = require('../utils/reservations');
+const { releaseExpiredReservations } = require('../jobs/reservationSweeper');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+const DEFAULT_HOLD_HOURS = 48;
+
+const populateReservation = async (reservation) => {
+  await reservation.populate('product', 'name sku');
+  await reservation.populate('location', 'name code');
+  await reservation.populate('user', 'firstName lastName username');
+  await reservation.populate('createdBy', 'firstName lastName username');
+};
+
+// Get reservations
+router.get('/', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      status,
+      productId,
+      variantId,
+      userId,
+      locationId
+    } = req.query;
+
+    const query = status === 'ACTIVE' ? activeHoldFilter() : {};
+
+    if (status && status !== 'ACTIVE') query.status = status;
+    if (productId) query.product = productId;
+    if (variantId) query.variant = variantId;
+    if (userId) query.user = userId;
+    if (locationId) query.location = locationId;
+
+    const reservations = await Reservation.find(query)
+      .sort({ expiresAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('product', 'name sku')
+      .populate('location', 'name code')
+      .populate('user', 'firstName lastName username');
+
+    const total = await Reservation.countDocuments(query);
+
+    res.json({
+      reservations,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Release expired holds now instead of waiting for the sweeper
+router.post('/sweep', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const released = await releaseExpiredReservations();
+
+    res.json({ message: 'Expired reservations released', released });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single reservation
+router.get('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    await populateReservation(reservation);
+
+    res.json(reservation);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hold stock for a user
+router.post('/', auth, checkPermission('canManageInventory'), [
+  body('productId').isMongoId(),
+  body('variantId').isMongoId().optional(),
+  body('userId').isMongoId(),
+  body('quantity').isInt({ min: 1 }),
+  body('locationId').isMongoId().optional(),
+  body('expiresAt').isISO8601().toDate().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, variantId, userId, quantity, locationId, notes } = req.body;
+    const expiresAt = req.body.expiresAt || new Date(Date.now() + DEFAULT_HOLD_HOURS * 60 * 60 * 1000);
+
+    if (expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'Expiry must be in the future' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const reservation = await mongoose.connection.transaction(async (session) => {
+      const location = await resolveLocation(locationId, session);
+      if (!location) {
+        throw new HttpError(404, 'Location not found');
+      }
+
+      const product = await Product.findOne({ _id: productId, isActive: true }).session(session);
+      if (!product) {
+        throw new HttpError(404, 'Product not found');
+      }
+
+      // Holds are per variant, so one variant's hold never blocks another
+      const variant = resolveVariant(product, variantId);
+      const variantKey = variant ? variant._id : null;
+      const label = variant ? `${product.name} (${variant.sku})` : product.name;
+
+      // Touch the product first so concurrent holds (and stock movements, which
+      // also write the product) conflict and retry instead of both reading the
+      // same reserved total
+      await Product.updateOne({ _id: product._id }, { $set: { updatedAt: new Date() } }, { session, timestamps: false });
+
+      await seedLocationStock(product, session);
+      const reserved = await getReservedQuantity(product._id, { variant: variantKey, location: location._id, session });
+      const available = getLocationStock(product, location._id, variantKey) - reserved;
+      if (available < quantity) {
+        throw new HttpError(400, `Insufficient stock for ${label} at ${location.name}. Available: ${Math.max(0, available)}, Requested: ${quantity}`);
+      }
+
+      const [created] = await Reservation.create([{
+        product: product._id,
+        variant: variantKey || undefined,
+        location: location._id,
+        user: user._id,
+        quantity,
+        expiresAt,
+        notes,
+        createdBy: req.user._id
+      }], { session });
+
+      return created;
+    });
+
+    await populateReservation(reservation);
+
+    res.status(201).json({
+      message: 'Stock reserved successfully',
+      reservation
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Extend a hold
+router.patch('/:id/extend', auth, checkPermission('canManageInventory'), [
+  body('expiresAt').isISO8601().toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const reservation = await Reservation.findOne({ _id: req.params.id, ...activeHoldFilter() });
+    if (!reservation) {
+      return res.status(404).json({ message: 'Active reservation not found' });
+    }
+
+    if (req.body.expiresAt <= reservation.expiresAt) {
+      return res.status(400).json({ message: 'New expiry must be later than the current one' });
+    }
+
+    reservation.expiresAt = req.body.expiresAt;
+    await reservation.save();
+
+    res.json({
+      message: 'Reservation extended successfully',
+      reservation
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Release a hold
+router.post('/:id/release', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    if (reservation.status !== 'ACTIVE') {
+      return res.status(400).json({ message: `Reservation is already ${reservation.status}` });
+    }
+
+    reservation.status = 'RELEASED';
+    reservation.releasedAt = new Date();
+    reservation.releasedBy = req.user._id;
+    await reservation.save();
+
+    res.json({
+      message: 'Reservation released successfully',
+      reservation
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
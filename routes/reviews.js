@@ -0,0 +1,298 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Review = require('../model/review');
+const Product = require('../model/Products');
+const Bill = require('../model/Bills');
+const { auth, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ALREADY_REVIEWED = 'You have already reviewed this product; edit your review instead';
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// A purchase is verified when the user has a bill for the product that was not cancelled
+const hasPurchased = async (userId, productId) => Boolean(await Bill.exists({
+  adminId: userId,
+  'items.product': productId,
+  status: { $ne: 'CANCELLED' }
+}));
+
+// Get approved reviews for a product, with its rating breakdown
+router.get('/product/:productId', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      rating,
+      verified,
+      sort = 'newest'
+    } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const product = await Product.findById(req.params.productId).select('rating reviews');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = { product: product._id, status: 'APPROVED' };
+    if (rating) query.rating = parseInt(rating);
+    if (verified !== undefined) query.verifiedPurchase = verified === 'true';
+
+    const reviews = await Review.find(query)
+      .sort(SORTS[sort] || SORTS.newest)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-moderatedBy -moderationNote')
+      .populate('user', 'firstName lastName');
+
+    const total = await Review.countDocuments(query);
+
+    const counts = await Review.aggregate([
+      { $match: { product: product._id, status: 'APPROVED' } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+    const distribution = Object.fromEntries([1, 2, 3, 4, 5].map(stars => [
+      stars,
+      (counts.find(entry => entry._id === stars) || { count: 0 }).count
+    ]));
+
+    res.json({
+      reviews,
+      summary: {
+        rating: product.rating,
+        reviews: product.reviews,
+        distribution
+      },
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the signed-in user's own reviews, whatever their status
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const reviews = await Review.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('product', 'name sku');
+
+    res.json(reviews);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get reviews for moderation (pending by default)
+router.get('/', auth, checkPermission('canManageProducts'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status = 'PENDING',
+      productId
+    } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (productId) query.product = productId;
+
+    const reviews = await Review.find(query)
+      .sort({ createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('product', 'name sku')
+      .populate('user', 'firstName lastName username email')
+      .populate('moderatedBy', 'firstName lastName username');
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      reviews,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Post a review; it is shown once a moderator approves it
+router.post('/', auth, [
+  body('productId').isMongoId(),
+  body('rating').isInt({ min: 1, max: 5 }).toInt(),
+  body('title').optional().trim().isLength({ max: 150 }),
+  body('body').optional().trim().isLength({ max: 5000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, rating, title } = req.body;
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const existing = await Review.exists({ product: product._id, user: req.user._id });
+    if (existing) {
+      return res.status(400).json({ message: ALREADY_REVIEWED });
+    }
+
+    const review = new Review({
+      product: product._id,
+      user: req.user._id,
+      rating,
+      title,
+      body: req.body.body,
+      verifiedPurchase: await hasPurchased(req.user._id, product._id)
+    });
+
+    await review.save();
+
+    res.status(201).json({
+      message: 'Review submitted for moderation',
+      review
+    });
+  } catch (error) {
+    // A concurrent duplicate gets past the check above but not the unique index
+    if (error.code === 11000) {
+      return res.status(400).json({ message: ALREADY_REVIEWED });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit your own review; it goes back to moderation
+router.put('/:id', auth, [
+  body('rating').optional().isInt({ min: 1, max: 5 }).toInt(),
+  body('title').optional().trim().isLength({ max: 150 }),
+  body('body').optional().trim().isLength({ max: 5000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { rating, title } = req.body;
+    const wasApproved = review.status === 'APPROVED';
+
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (req.body.body !== undefined) review.body = req.body.body;
+    review.verifiedPurchase = await hasPurchased(req.user._id, review.product);
+    review.status = 'PENDING';
+    review.moderatedBy = undefined;
+    review.moderatedAt = undefined;
+    review.moderationNote = undefined;
+
+    await review.save();
+    if (wasApproved) {
+      await Review.refreshProductRating(review.product);
+    }
+
+    res.json({
+      message: 'Review updated and resubmitted for moderation',
+      review
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a review
+router.post('/:id/moderate', auth, checkPermission('canManageProducts'), [
+  body('status').isIn(['APPROVED', 'REJECTED']),
+  body('note').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    review.status = req.body.status;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.moderationNote = req.body.note;
+    await review.save();
+
+    const product = await Review.refreshProductRating(review.product);
+
+    res.json({
+      message: `Review ${review.status === 'APPROVED' ? 'approved' : 'rejected'} successfully`,
+      review,
+      product
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a review (its author or a moderator)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const isAuthor = review.user.toString() === req.user._id.toString();
+    if (!isAuthor && !req.user.permissions.canManageProducts) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await review.deleteOne();
+    if (review.status === 'APPROVED') {
+      await Review.refreshProductRating(review.product);
+    }
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,326 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Stocktake = require('../model/stocktake');
+const Product = require('../model/Products');
+const { auth, authorize, checkPermission } = require('../middleware/auth');
+const {
+  resolveLocation,
+  seedLocationStock,
+  getLocationStock,
+  applyStockMovement
+} = require('../utils/stock');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+// Get stocktake sessions
+router.get('/', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      status,
+      locationId
+    } = req.query;
+
+    const query = {};
+
+    if (status) query.status = status;
+    if (locationId) query.location = locationId;
+
+    const stocktakes = await Stocktake.find(query)
+      .select('-lines')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('location', 'name code')
+      .populate('openedBy', 'firstName lastName username')
+      .populate('approvedBy', 'firstName lastName username');
+
+    const total = await Stocktake.countDocuments(query);
+
+    res.json({
+      stocktakes,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single stocktake session
+router.get('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findById(req.params.id)
+      .populate('location', 'name code')
+      .populate('lines.product', 'name sku')
+      .populate('lines.counts.countedBy', 'firstName lastName username')
+      .populate('openedBy', 'firstName lastName username')
+      .populate('approvedBy', 'firstName lastName username');
+
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+
+    res.json(stocktake);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Variance report (counted vs frozen system quantities)
+router.get('/:id/variance', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findById(req.params.id)
+      .populate('location', 'name code')
+      .populate('lines.product', 'name sku');
+
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+
+    const report = stocktake.varianceReport();
+
+    res.json({
+      sessionNumber: stocktake.sessionNumber,
+      status: stocktake.status,
+      location: stocktake.location,
+      category: stocktake.category,
+      ...report
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open a count session and freeze system quantities
+router.post('/', auth, checkPermission('canManageInventory'), [
+  body('locationId').isMongoId().optional(),
+  body('category').isIn(['frames', 'sunglasses', 'reading-glasses', 'accessories']).optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { locationId, category, notes } = req.body;
+
+    const location = await resolveLocation(locationId);
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    // Sessions on the same location must not overlap in scope
+    const overlapping = await Stocktake.findOne({
+      location: location._id,
+      status: 'OPEN',
+      ...(category && { category: { $in: [category, null] } })
+    });
+    if (overlapping) {
+      return res.status(400).json({ message: `Stocktake ${overlapping.sessionNumber} is already open for this location` });
+    }
+
+    const productQuery = { isActive: true };
+    if (category) productQuery.category = category;
+
+    const products = await Product.find(productQuery).sort({ sku: 1 });
+    if (products.length === 0) {
+      return res.status(400).json({ message: 'No products to count' });
+    }
+
+    const lines = [];
+    for (const product of products) {
+      await seedLocationStock(product);
+
+      // Variants are counted separately
+      if (product.variants.length > 0) {
+        product.variants.forEach(variant => lines.push({
+          product: product._id,
+          variant: variant._id,
+          systemQuantity: getLocationStock(product, location._id, variant._id),
+          unitValue: product.price
+        }));
+      } else {
+        lines.push({
+          product: product._id,
+          systemQuantity: getLocationStock(product, location._id, null),
+          unitValue: product.price
+        });
+      }
+    }
+
+    const stocktake = new Stocktake({
+      location: location._id,
+      category,
+      lines,
+      notes,
+      openedBy: req.user._id
+    });
+
+    await stocktake.save();
+    await stocktake.populate('location', 'name code');
+
+    res.status(201).json({
+      message: 'Stocktake opened successfully',
+      stocktake
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record counted quantities (each staff member's count replaces their previous one)
+router.post('/:id/counts', auth, checkPermission('canManageInventory'), [
+  body('counts').isArray({ min: 1 }),
+  body('counts.*.productId').isMongoId(),
+  body('counts.*.variantId').isMongoId().optional(),
+  body('counts.*.quantity').isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stocktake = await Stocktake.findById(req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+
+    if (stocktake.status !== 'OPEN') {
+      return res.status(400).json({ message: `Stocktake is ${stocktake.status}` });
+    }
+
+    const findLine = (productId, variantId) => stocktake.lines.find(line =>
+      line.product.toString() === productId &&
+      (line.variant ? line.variant.toString() : undefined) === variantId
+    );
+
+    for (const { productId, variantId } of req.body.counts) {
+      if (!findLine(productId, variantId)) {
+        return res.status(400).json({ message: `Product is not part of this stocktake: ${productId}${variantId ? ` (${variantId})` : ''}` });
+      }
+    }
+
+    for (const { productId, variantId, quantity } of req.body.counts) {
+      const line = findLine(productId, variantId);
+      const entry = line.counts.find(c => c.countedBy.toString() === req.user._id.toString());
+
+      if (entry) {
+        entry.quantity = quantity;
+        entry.countedAt = new Date();
+      } else {
+        line.counts.push({ countedBy: req.user._id, quantity });
+      }
+    }
+
+    await stocktake.save();
+
+    res.json({
+      message: 'Counts recorded successfully',
+      totals: stocktake.varianceReport().totals
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve and post all differences as ADJUSTMENT transactions
+router.post('/:id/approve', auth, authorize('superadmin', 'admin'), checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const result = await mongoose.connection.transaction(async (session) => {
+      const stocktake = await Stocktake.findById(req.params.id).session(session);
+      if (!stocktake) {
+        throw new HttpError(404, 'Stocktake not found');
+      }
+
+      if (stocktake.status !== 'OPEN') {
+        throw new HttpError(400, `Stocktake is ${stocktake.status}`);
+      }
+
+      const location = await resolveLocation(stocktake.location, session);
+      if (!location) {
+        throw new HttpError(404, 'Location not found');
+      }
+
+      const report = stocktake.varianceReport();
+      const transactions = [];
+
+      // Apply the variance on top of current stock, so movements made
+      // while the count was running are kept
+      for (const line of report.lines) {
+        if (!line.varianceUnits) continue;
+
+        const { transaction } = await applyStockMovement({
+          product: line.product,
+          variant: line.variant,
+          location,
+          type: 'ADJUSTMENT',
+          delta: line.varianceUnits,
+          reason: 'Stocktake variance',
+          reference: stocktake.sessionNumber,
+          stocktake: stocktake._id,
+          performedBy: req.user._id,
+          session
+        });
+        transactions.push(transaction);
+      }
+
+      stocktake.status = 'APPROVED';
+      stocktake.approvedBy = req.user._id;
+      stocktake.approvedAt = new Date();
+      await stocktake.save({ session });
+
+      return { stocktake, report, transactions };
+    });
+
+    res.json({
+      message: 'Stocktake approved successfully',
+      sessionNumber: result.stocktake.sessionNumber,
+      totals: result.report.totals,
+      transactions: result.transactions
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel an open stocktake
+router.post('/:id/cancel', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findById(req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+
+    if (stocktake.status !== 'OPEN') {
+      return res.status(400).json({ message: `Stocktake is ${stocktake.status}` });
+    }
+
+    stocktake.status = 'CANCELLED';
+    stocktake.cancelledAt = new Date();
+    await stocktake.save();
+
+    res.json({ message: 'Stocktake cancelled successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Supplier = require('../model/supplier');
+const { auth, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get all suppliers
+router.get('/', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      search,
+      isActive 
+    } = req.query;
+
+    const query = {};
+
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } },
+        { contactName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const suppliers = await Supplier.find(query)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Supplier.countDocuments(query);
+
+    res.json({
+      suppliers,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single supplier
+router.get('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName username');
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    res.json(supplier);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create supplier
+router.post('/', auth, checkPermission('canManageInventory'), [
+  body('name').notEmpty().trim(),
+  body('code').notEmpty().trim(),
+  body('email').optional().isEmail().normalizeEmail(),
+  body('phone').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, code, contactName, email, phone, address, notes } = req.body;
+
+    const existingSupplier = await Supplier.findOne({ code: code.toUpperCase() });
+    if (existingSupplier) {
+      return res.status(400).json({ message: 'Supplier code already exists' });
+    }
+
+    const supplier = new Supplier({
+      name,
+      code,
+      contactName,
+      email,
+      phone,
+      address,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await supplier.save();
+
+    res.status(201).json({
+      message: 'Supplier created successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update supplier
+router.put('/:id', auth, checkPermission('canManageInventory'), [
+  body('name').optional().notEmpty().trim(),
+  body('email').optional().isEmail().normalizeEmail(),
+  body('phone').optional().trim(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const allowedUpdates = ['name', 'contactName', 'email', 'phone', 'address', 'notes', 'isActive'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        supplier[field] = req.body[field];
+      }
+    });
+
+    await supplier.save();
+
+    res.json({
+      message: 'Supplier updated successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete supplier (soft delete)
+router.delete('/:id', auth, checkPermission('canManageInventory'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    supplier.isActive = false;
+    await supplier.save();
+
+    res.json({ message: 'Supplier deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
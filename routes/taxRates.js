@@ -0,0 +1,155 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TaxRate = require('../model/taxRate');
+const { auth, authorize, checkPermission } = require('../middleware/auth');
+const { resolveTaxRate } = require('../utils/tax');
+
+const router = express.Router();
+
+const CATEGORIES = ['frames', 'sunglasses', 'reading-glasses', 'accessories'];
+
+// Same category and region (either may be unset) means the same rule
+const findDuplicate = (category, region, excludeId) => TaxRate.findOne({
+  category: category || { $exists: false },
+  region: region ? region.trim().toUpperCase() : { $exists: false },
+  isActive: true,
+  ...(excludeId ? { _id: { $ne: excludeId } } : {})
+});
+
+// Get tax rates
+router.get('/', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const { category, region, isActive } = req.query;
+
+    const query = {};
+    if (category) query.category = category;
+    if (region) query.region = region.toUpperCase();
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const taxRates = await TaxRate.find(query).sort({ category: 1, region: 1 });
+
+    res.json({ taxRates });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Preview the rate that applies to a category in a region
+router.get('/resolve', auth, checkPermission('canViewBilling'), async (req, res) => {
+  try {
+    const { category, region } = req.query;
+    if (!CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `Category must be one of ${CATEGORIES.join(', ')}` });
+    }
+
+    const rates = await TaxRate.find({ isActive: true });
+
+    res.json({ taxRate: resolveTaxRate(rates, category, region) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create tax rate
+router.post('/', auth, authorize('superadmin'), [
+  body('name').notEmpty().trim(),
+  body('rate').isFloat({ min: 0, max: 100 }),
+  body('category').optional().isIn(CATEGORIES),
+  body('region').optional().notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, rate, category, region } = req.body;
+
+    if (await findDuplicate(category, region)) {
+      return res.status(400).json({ message: 'An active tax rate already exists for this category and region' });
+    }
+
+    const taxRate = new TaxRate({
+      name,
+      rate,
+      category,
+      region,
+      createdBy: req.user._id
+    });
+
+    await taxRate.save();
+
+    res.status(201).json({
+      message: 'Tax rate created successfully',
+      taxRate
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update tax rate (applies to bills generated from now on)
+router.put('/:id', auth, authorize('superadmin'), [
+  body('name').optional().notEmpty().trim(),
+  body('rate').optional().isFloat({ min: 0, max: 100 }),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const taxRate = await TaxRate.findById(req.params.id);
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    if (req.body.isActive === true && !taxRate.isActive &&
+        await findDuplicate(taxRate.category, taxRate.region, taxRate._id)) {
+      return res.status(400).json({ message: 'An active tax rate already exists for this category and region' });
+    }
+
+    const allowedUpdates = ['name', 'rate', 'isActive'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        taxRate[field] = req.body[field];
+      }
+    });
+    taxRate.updatedBy = req.user._id;
+
+    await taxRate.save();
+
+    res.json({
+      message: 'Tax rate updated successfully',
+      taxRate
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete tax rate (soft delete)
+router.delete('/:id', auth, authorize('superadmin'), async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    taxRate.isActive = false;
+    taxRate.updatedBy = req.user._id;
+    await taxRate.save();
+
+    res.json({ message: 'Tax rate deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
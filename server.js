@@ -9,6 +9,21 @@ const productRoutes = require('./routes/products');
 const userRoutes = require('./routes/user');
 const inventoryRoutes = require('./routes/inventory');
 const billingRoutes = require('./routes/bills');
+const locationRoutes = require('./routes/locations');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const reservationRoutes = require('./routes/reservations');
+const stocktakeRoutes = require('./routes/stocktakes');
+const creditNoteRoutes = require('./routes/creditNotes');
+const taxRateRoutes = require('./routes/taxRates');
+const promotionRoutes = require('./routes/promotions');
+const quoteRoutes = require('./routes/quotes');
+const reviewRoutes = require('./routes/reviews');
+const { startReservationSweeper } = require('./jobs/reservationSweeper');
+const { startBillingScheduler } = require('./jobs/billingScheduler');
+const { startPriceScheduler } = require('./jobs/priceScheduler');
+const { getStorage } = require('./utils/storage');
+const { backfillSearchTerms } = require('./utils/search');
 
 const app = express()
 require('dotenv').config();
@@ -17,6 +32,13 @@ connectDB();
 app.use(helmet());
 app.use(cors());
 
+// Uploaded files, when the storage driver serves them itself. Mounted ahead of
+// the rate limiter so product pages with many images are not throttled.
+const storage = getStorage();
+if (storage.serve) {
+  app.use(storage.publicPath, storage.serve());
+}
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, 
   max: 100 
@@ -32,6 +54,16 @@ app.use('/api/products', productRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/billing', billingRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 
 app.use((err, req, res, next) => {
@@ -43,4 +75,10 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startReservationSweeper();
+  startBillingScheduler();
+  startPriceScheduler();
+  backfillSearchTerms()
+    .then(count => count > 0 && console.log(`Indexed ${count} product(s) for search`))
+    .catch(error => console.error(error));
 });
\ No newline at end of file
@@ -0,0 +1,184 @@
+const Bill = require('../model/Bills');
+const Product = require('../model/Products');
+const InventoryTransaction = require('../model/inventory');
+const SerialNumber = require('../model/serialNumber');
+const HttpError = require('./httpError');
+const { resolveVariant, applyStockMovement } = require('./stock');
+const { getReservedQuantity, consumeReservations } = require('./reservations');
+const { calculateTax } = require('./tax');
+const { loadActivePromotions, applyPromotions } = require('./promotions');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Load the products (and variants) for requested lines: [{ product, variant, quantity }]
+const loadLines = async (items, session = null) => {
+  const lines = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product).session(session);
+    if (!product) {
+      throw new HttpError(404, `Product not found: ${item.product}`);
+    }
+    lines.push({ product, variant: resolveVariant(product, item.variant), quantity: item.quantity });
+  }
+  return lines;
+};
+
+// Price loaded lines for an admin at list price, with the promotions running
+// now and tax per line for the admin's state. `discount` is a manual discount
+// on top of promotions; more than the amount left after promotions is a 400.
+const priceLines = async ({ lines, admin, discount = 0, session = null }) => {
+  const items = lines.map(({ product, variant, quantity }) => ({
+    product: product._id,
+    variant: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : product.sku,
+    quantity,
+    unitPrice: product.price,
+    totalPrice: product.price * quantity
+  }));
+  const subtotal = round(items.reduce((sum, item) => sum + item.totalPrice, 0));
+
+  // Promotions running now, recorded per line for audit
+  const promotions = await loadActivePromotions(new Date(), session);
+  const promoted = applyPromotions(promotions, items.map((item, index) => ({
+    product: item.product,
+    category: lines[index].product.category,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice
+  })), admin._id);
+  items.forEach((item, index) => Object.assign(item, promoted[index]));
+  const promotionDiscount = round(promoted.reduce((sum, line) => sum + line.discountAmount, 0));
+
+  // The manual discount can take the bill to zero but not below
+  const net = round(subtotal - promotionDiscount);
+  if (discount > net) {
+    throw new HttpError(400, `Discount (${discount}) exceeds the amount after promotions (${net})`);
+  }
+
+  // Tax per line at the rate for the product's category and the admin's state
+  const taxRegion = admin.address && admin.address.state ? admin.address.state.trim().toUpperCase() : undefined;
+  const taxed = await calculateTax({
+    lines: items.map((item, index) => ({
+      category: lines[index].product.category,
+      totalPrice: item.totalPrice - item.discountAmount
+    })),
+    region: taxRegion,
+    discount,
+    session
+  });
+  items.forEach((item, index) => Object.assign(item, taxed.lines[index]));
+
+  return {
+    items,
+    subtotal,
+    promotionDiscount,
+    discount,
+    tax: taxed.tax,
+    taxRegion,
+    taxBreakdown: taxed.breakdown,
+    total: round(subtotal - promotionDiscount + taxed.tax - discount)
+  };
+};
+
+// Take priced items out of stock at `location` and create the bill. Fails
+// with a 400 when a line no longer has enough unreserved stock. `serialNumbers`
+// optionally names the units to issue, per item. Meant to run inside a
+// MongoDB transaction.
+const issueBill = async ({ admin, priced, location, dueDate, notes, serialNumbers = [], user, statusReason = 'Bill generated', session, ...fields }) => {
+  const items = [];
+  const transactionIds = [];
+
+  for (const [index, line] of priced.items.entries()) {
+    // Stock held for other admins is not available; this admin's own holds are
+    const reserved = await getReservedQuantity(line.product, {
+      variant: line.variant,
+      location: location._id,
+      excludeUser: admin._id,
+      session
+    });
+
+    // Update product stock (fails on insufficient stock); lots are taken FEFO
+    const { transaction, tracked } = await applyStockMovement({
+      product: line.product,
+      variant: line.variant,
+      location,
+      type: 'OUT',
+      delta: -line.quantity,
+      reserved,
+      tracking: { serialNumbers: serialNumbers[index] },
+      reason: 'Admin stock allocation',
+      reference: `Admin: ${admin.firstName} ${admin.lastName}`,
+      performedBy: user._id,
+      session
+    });
+
+    items.push({
+      ...line,
+      unitCost: transaction.unitCost,
+      costOfGoods: transaction.totalCost,
+      lots: tracked.lots.map(lot => ({
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        quantity: lot.quantity
+      })),
+      serialNumbers: tracked.serialNumbers
+    });
+    transactionIds.push(transaction._id);
+  }
+
+  const costOfGoods = round(items.reduce((sum, item) => sum + item.costOfGoods, 0));
+
+  const [bill] = await Bill.create([{
+    adminId: admin._id,
+    items,
+    subtotal: priced.subtotal,
+    tax: priced.tax,
+    taxRegion: priced.taxRegion,
+    taxBreakdown: priced.taxBreakdown,
+    promotionDiscount: priced.promotionDiscount,
+    discount: priced.discount,
+    total: priced.total,
+    costOfGoods,
+    grossMargin: round(priced.subtotal - priced.promotionDiscount - priced.discount - costOfGoods),
+    dueDate,
+    notes,
+    statusHistory: [{ to: 'PENDING', changedBy: user._id, reason: statusReason }],
+    generatedBy: user._id,
+    ...fields
+  }], { session });
+
+  // Link the stock movements and issued serial numbers to the bill for tracing
+  await InventoryTransaction.updateMany(
+    { _id: { $in: transactionIds } },
+    { bill: bill._id },
+    { session }
+  );
+  for (const item of items) {
+    if (item.serialNumbers.length === 0) continue;
+    await SerialNumber.updateMany(
+      { product: item.product, serial: { $in: item.serialNumbers } },
+      { bill: bill._id, issuedTo: admin._id },
+      { session }
+    );
+  }
+
+  // The billed stock no longer needs to be held for this admin
+  for (const item of items) {
+    await consumeReservations({
+      product: item.product,
+      variant: item.variant,
+      location: location._id,
+      user: admin._id,
+      quantity: item.quantity,
+      reference: bill.billNumber,
+      session
+    });
+  }
+
+  return bill;
+};
+
+module.exports = {
+  loadLines,
+  priceLines,
+  issueBill
+};
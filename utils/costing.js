@@ -0,0 +1,176 @@
+const CostLayer = require('../model/costLayer');
+const InventoryTransaction = require('../model/inventory');
+const Product = require('../model/Products');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Open a cost layer for received units
+const addCostLayer = async ({ product, variant, transaction, quantity, unitCost, session }) => {
+  await CostLayer.create([{
+    product,
+    variant: variant || undefined,
+    transaction,
+    unitCost,
+    quantity,
+    remaining: quantity
+  }], { session });
+};
+
+// Consume cost layers oldest first and return the cost of the units taken.
+// Units with no layer left (stock from before costing) use `fallbackCost`.
+const consumeCostLayers = async ({ product, variant, quantity, fallbackCost = 0, session }) => {
+  const layers = await CostLayer.find({
+    product,
+    variant: variant || null,
+    remaining: { $gt: 0 }
+  }).sort({ receivedAt: 1 }).session(session);
+
+  let remaining = quantity;
+  let totalCost = 0;
+  for (const layer of layers) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(remaining, layer.remaining);
+    layer.remaining -= take;
+    await layer.save({ session });
+    totalCost += take * layer.unitCost;
+    remaining -= take;
+  }
+  totalCost += remaining * fallbackCost;
+
+  return round(totalCost);
+};
+
+// Receive units into a variant's stock during the replay
+const receive = (stock, quantity, unitCost) => {
+  stock.layers.push({ quantity, unitCost });
+  stock.value += quantity * unitCost;
+  stock.quantity += quantity;
+};
+
+// Take units out of a variant's stock during the replay. FIFO uses the layers
+// oldest first and then the opening stock, as consumeCostLayers does.
+const issue = (stock, quantity, method) => {
+  if (method === 'FIFO') {
+    let out = quantity;
+    while (out > 0 && stock.layers.length > 0) {
+      const layer = stock.layers[0];
+      const take = Math.min(out, layer.quantity);
+      layer.quantity -= take;
+      stock.value -= take * layer.unitCost;
+      out -= take;
+      if (layer.quantity === 0) stock.layers.shift();
+    }
+    const fromOpening = Math.min(out, stock.opening.quantity);
+    stock.opening.quantity -= fromOpening;
+    stock.value -= fromOpening * stock.opening.unitCost;
+  } else {
+    const averageCost = stock.quantity > 0 ? stock.value / stock.quantity : 0;
+    stock.value -= Math.min(quantity, stock.quantity) * averageCost;
+  }
+
+  stock.quantity = Math.max(0, stock.quantity - quantity);
+  if (stock.quantity === 0) {
+    stock.value = 0;
+    stock.layers = [];
+    stock.opening.quantity = 0;
+  }
+};
+
+// Replay inventory history up to `asOf` and value what is left per product,
+// using FIFO layers or a running weighted average. Transfers move stock between
+// locations without changing its value and are left out, as is damaged stock.
+// Layers are kept per variant, like the cost layers bills consume. Stock held
+// before a ledger's first transaction (its previousStock) is valued at
+// costPrice, the cost bills use for units without a layer.
+const valueInventory = async ({ asOf = new Date(), method = 'FIFO', productQuery = {} }) => {
+  const products = await Product.find(productQuery).select('name sku category costPrice');
+  const byId = new Map(products.map(product => [product._id.toString(), {
+    product,
+    variants: new Map(),
+    ledgers: new Set(),
+    unlocated: new Map()
+  }]));
+
+  const cursor = InventoryTransaction.find({
+    product: { $in: products.map(product => product._id) },
+    createdAt: { $lte: asOf },
+    transferId: { $exists: false },
+    bucket: { $ne: 'DAMAGED' }
+  })
+    .select('product variant location previousStock newStock unitCost createdAt')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const movement of cursor) {
+    const state = byId.get(movement.product.toString());
+    const change = movement.newStock - movement.previousStock;
+    const fallbackCost = state.product.costPrice || 0;
+    const variantKey = movement.variant ? movement.variant.toString() : 'none';
+
+    if (!state.variants.has(variantKey)) {
+      state.variants.set(variantKey, { quantity: 0, value: 0, layers: [], opening: { quantity: 0, unitCost: fallbackCost } });
+    }
+    const stock = state.variants.get(variantKey);
+
+    // Entries without a location predate per-location stock, which was seeded
+    // from the same units, so the first located entries carry that balance
+    // instead of adding it again
+    const ledgerKey = `${movement.location || 'none'}:${variantKey}`;
+    if (!state.ledgers.has(ledgerKey)) {
+      state.ledgers.add(ledgerKey);
+      let opening = movement.previousStock;
+      if (movement.location) {
+        const carried = Math.min(opening, state.unlocated.get(variantKey) || 0);
+        state.unlocated.set(variantKey, (state.unlocated.get(variantKey) || 0) - carried);
+        opening -= carried;
+      }
+      if (opening > 0) {
+        stock.opening.quantity += opening;
+        stock.value += opening * fallbackCost;
+        stock.quantity += opening;
+      }
+    }
+    if (!movement.location) {
+      state.unlocated.set(variantKey, movement.newStock);
+    }
+
+    if (change > 0) {
+      receive(stock, change, movement.unitCost != null ? movement.unitCost : fallbackCost);
+    } else if (change < 0) {
+      issue(stock, -change, method);
+    }
+  }
+
+  const rows = [...byId.values()]
+    .map(state => {
+      const stocks = [...state.variants.values()];
+      return {
+        product: state.product,
+        quantity: stocks.reduce((sum, stock) => sum + stock.quantity, 0),
+        value: stocks.reduce((sum, stock) => sum + stock.value, 0)
+      };
+    })
+    .filter(state => state.quantity > 0)
+    .map(state => ({
+      product: { _id: state.product._id, name: state.product.name, sku: state.product.sku, category: state.product.category },
+      quantity: state.quantity,
+      unitCost: round(state.value / state.quantity),
+      value: round(state.value)
+    }));
+
+  return {
+    products: rows,
+    totals: {
+      quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+      value: round(rows.reduce((sum, row) => sum + row.value, 0))
+    }
+  };
+};
+
+module.exports = {
+  addCostLayer,
+  consumeCostLayers,
+  valueInventory
+};
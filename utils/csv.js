@@ -0,0 +1,58 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes ("") and line
+// breaks inside quotes. The first row is the header.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  const columns = header.map(column => column.trim());
+  return records.map(record => Object.fromEntries(columns.map((column, index) => [column, record[index] ?? ''])));
+};
+
+const escapeField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows are objects; `columns` fixes the order
+const toCsv = (columns, rows) => [
+  columns.map(escapeField).join(','),
+  ...rows.map(row => columns.map(column => escapeField(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,11 @@
+// Error carrying an HTTP status, thrown from inside transactions so the
+// route can abort the work and still answer with a client error
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;
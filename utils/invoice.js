@@ -0,0 +1,274 @@
+const PDFDocument = require('pdfkit');
+const getInvoiceConfig = require('../Config/invoice');
+const { fillTemplate } = require('./template');
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const addressLines = (address = {}) => [
+  address.street,
+  [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+  address.country
+].filter(Boolean);
+
+// Everything printed on an invoice, shared by the HTML and PDF renderers.
+// Expects adminId and items.product to be populated. Amounts use the currency
+// code rather than its symbol, which the built-in PDF fonts cannot print.
+const buildInvoice = (bill, config = getInvoiceConfig()) => {
+  const money = new Intl.NumberFormat(config.locale, { style: 'currency', currency: config.currency, currencyDisplay: 'code' });
+  const date = (value) => new Date(value).toLocaleDateString(config.locale, { year: 'numeric', month: 'short', day: 'numeric' });
+
+  const admin = bill.adminId;
+  const adminName = `${admin.firstName} ${admin.lastName}`;
+  const values = {
+    billNumber: bill.billNumber,
+    dueDate: date(bill.dueDate),
+    companyName: config.companyName,
+    adminName
+  };
+
+  return {
+    header: fillTemplate(config.header, values),
+    footer: fillTemplate(config.footer, values),
+    company: {
+      name: config.companyName,
+      addressLines: config.companyAddress ? config.companyAddress.split('\n') : [],
+      email: config.companyEmail,
+      phone: config.companyPhone,
+      taxId: config.taxId
+    },
+    billNumber: bill.billNumber,
+    status: bill.status,
+    issueDate: date(bill.createdAt),
+    dueDate: date(bill.dueDate),
+    billTo: {
+      name: adminName,
+      email: admin.email,
+      phone: admin.phone,
+      addressLines: addressLines(admin.address)
+    },
+    items: bill.items.map(item => ({
+      description: item.product ? item.product.name : 'Deleted product',
+      sku: item.sku || (item.product ? item.product.sku : ''),
+      quantity: item.quantity,
+      unitPrice: money.format(item.unitPrice),
+      // Promotion discount on the line; the bill discount is shown in the totals
+      discount: item.discountAmount > 0 ? money.format(-item.discountAmount) : '',
+      tax: item.taxRate !== undefined ? `${item.taxRate}%` : '',
+      total: money.format(item.totalPrice)
+    })),
+    totals: [
+      { label: 'Subtotal', amount: money.format(bill.subtotal) },
+      ...(bill.promotionDiscount > 0 ? [{ label: 'Promotions', amount: money.format(-bill.promotionDiscount) }] : []),
+      { label: 'Discount', amount: money.format(-bill.discount) },
+      // Bills from before line-level tax only have the total
+      ...(bill.taxBreakdown && bill.taxBreakdown.length > 0
+        ? bill.taxBreakdown.map(entry => ({ label: entry.name, amount: money.format(entry.taxAmount) }))
+        : [{ label: 'Tax', amount: money.format(bill.tax) }]),
+      { label: 'Total', amount: money.format(bill.total), grand: true },
+      ...(bill.amountPaid > 0 ? [{ label: 'Amount paid', amount: money.format(-bill.amountPaid) }] : []),
+      ...(bill.creditedAmount > 0 ? [{ label: 'Credit notes', amount: money.format(-bill.creditedAmount) }] : []),
+      ...(bill.amountPaid > 0 || bill.creditedAmount > 0
+        ? [{ label: 'Balance due', amount: money.format(bill.balanceDue), grand: true }]
+        : [])
+    ],
+    notes: bill.notes
+  };
+};
+
+const renderInvoiceHtml = (invoice) => {
+  const rows = invoice.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td>${escapeHtml(item.sku)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${escapeHtml(item.unitPrice)}</td>
+          <td class="num">${escapeHtml(item.discount)}</td>
+          <td class="num">${escapeHtml(item.tax)}</td>
+          <td class="num">${escapeHtml(item.total)}</td>
+        </tr>`).join('');
+
+  const totals = invoice.totals.map(line => `
+        <tr${line.grand ? ' class="grand"' : ''}>
+          <td colspan="6" class="num">${escapeHtml(line.label)}</td>
+          <td class="num">${escapeHtml(line.amount)}</td>
+        </tr>`).join('');
+
+  const lines = (values) => values.filter(Boolean).map(value => `<div>${escapeHtml(value)}</div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.billNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+    header, footer { border-color: #ccc; border-style: solid; border-width: 0; }
+    header { border-bottom-width: 1px; padding-bottom: 16px; display: flex; justify-content: space-between; }
+    header h1 { margin: 0; font-size: 24px; }
+    footer { border-top-width: 1px; margin-top: 32px; padding-top: 12px; font-size: 12px; color: #666; }
+    .meta { display: flex; justify-content: space-between; margin: 24px 0; }
+    .muted { color: #666; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; }
+    th { background: #f5f5f5; }
+    .num { text-align: right; }
+    .grand td { font-weight: bold; border-top: 2px solid #222; }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHtml(invoice.header)}</h1>
+      <div class="muted">
+        ${lines(invoice.company.addressLines)}
+        ${lines([invoice.company.email, invoice.company.phone])}
+        ${invoice.company.taxId ? `<div>Tax ID: ${escapeHtml(invoice.company.taxId)}</div>` : ''}
+      </div>
+    </div>
+    <div class="num">
+      <h1>INVOICE</h1>
+      <div>${escapeHtml(invoice.billNumber)}</div>
+      <div class="muted">Status: ${escapeHtml(invoice.status)}</div>
+    </div>
+  </header>
+  <section class="meta">
+    <div>
+      <strong>Bill to</strong>
+      <div>${escapeHtml(invoice.billTo.name)}</div>
+      <div class="muted">
+        ${lines(invoice.billTo.addressLines)}
+        ${lines([invoice.billTo.email, invoice.billTo.phone])}
+      </div>
+    </div>
+    <div class="num">
+      <div>Issued: ${escapeHtml(invoice.issueDate)}</div>
+      <div><strong>Due: ${escapeHtml(invoice.dueDate)}</strong></div>
+    </div>
+  </section>
+  <table>
+    <thead>
+      <tr>
+        <th>Item</th>
+        <th>SKU</th>
+        <th class="num">Qty</th>
+        <th class="num">Unit price</th>
+        <th class="num">Discount</th>
+        <th class="num">Tax</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>${totals}
+    </tfoot>
+  </table>
+  ${invoice.notes ? `<p class="muted">Notes: ${escapeHtml(invoice.notes)}</p>` : ''}
+  <footer>${escapeHtml(invoice.footer)}</footer>
+</body>
+</html>
+`;
+};
+
+// Resolves with the PDF as a Buffer
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columns = [
+    { key: 'description', label: 'Item', x: left, width: 125 },
+    { key: 'sku', label: 'SKU', x: left + 130, width: 70 },
+    { key: 'quantity', label: 'Qty', x: left + 205, width: 30, align: 'right' },
+    { key: 'unitPrice', label: 'Unit price', x: left + 240, width: 70, align: 'right' },
+    { key: 'discount', label: 'Discount', x: left + 315, width: 65, align: 'right' },
+    { key: 'tax', label: 'Tax', x: left + 385, width: 35, align: 'right' },
+    { key: 'total', label: 'Amount', x: left + 425, width: width - 425, align: 'right' }
+  ];
+
+  // Header
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(18).text(invoice.header, left, top, { width: width / 2 });
+  doc.font('Helvetica').fontSize(9).fillColor('#555');
+  [...invoice.company.addressLines, invoice.company.email, invoice.company.phone]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: width / 2 }));
+  if (invoice.company.taxId) doc.text(`Tax ID: ${invoice.company.taxId}`, { width: width / 2 });
+  const headerBottom = doc.y;
+
+  doc.fillColor('#000').font('Helvetica-Bold').fontSize(18)
+    .text('INVOICE', left + width / 2, top, { width: width / 2, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(invoice.billNumber, { width: width / 2, align: 'right' })
+    .text(`Status: ${invoice.status}`, { width: width / 2, align: 'right' });
+
+  doc.y = Math.max(headerBottom, doc.y) + 20;
+
+  // Bill to and dates
+  const metaTop = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to', left, metaTop);
+  doc.font('Helvetica').text(invoice.billTo.name);
+  doc.fontSize(9).fillColor('#555');
+  [...invoice.billTo.addressLines, invoice.billTo.email, invoice.billTo.phone]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  const billToBottom = doc.y;
+
+  doc.fillColor('#000').fontSize(10)
+    .text(`Issued: ${invoice.issueDate}`, left + width / 2, metaTop, { width: width / 2, align: 'right' });
+  doc.font('Helvetica-Bold').text(`Due: ${invoice.dueDate}`, { width: width / 2, align: 'right' });
+
+  doc.y = Math.max(billToBottom, doc.y) + 20;
+
+  // Line items
+  const drawRow = (row, font) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+    const rowTop = doc.y;
+    doc.font(font).fontSize(9);
+    let rowBottom = rowTop;
+    columns.forEach(column => {
+      doc.text(String(row[column.key]), column.x, rowTop, { width: column.width, align: column.align || 'left' });
+      rowBottom = Math.max(rowBottom, doc.y);
+    });
+    doc.moveTo(left, rowBottom + 4).lineTo(left + width, rowBottom + 4).strokeColor('#ddd').stroke();
+    doc.y = rowBottom + 8;
+  };
+
+  drawRow(Object.fromEntries(columns.map(column => [column.key, column.label])), 'Helvetica-Bold');
+  invoice.items.forEach(item => drawRow(item, 'Helvetica'));
+
+  // Totals
+  doc.moveDown(0.5);
+  invoice.totals.forEach(line => {
+    const rowTop = doc.y;
+    doc.font(line.grand ? 'Helvetica-Bold' : 'Helvetica').fontSize(line.grand ? 11 : 10);
+    doc.text(line.label, left + 240, rowTop, { width: 180, align: 'right' });
+    doc.text(line.amount, left + 425, rowTop, { width: width - 425, align: 'right' });
+    doc.moveDown(0.3);
+  });
+
+  if (invoice.notes) {
+    doc.moveDown().font('Helvetica').fontSize(9).fillColor('#555')
+      .text(`Notes: ${invoice.notes}`, left, doc.y, { width });
+  }
+
+  // Footer
+  doc.moveDown(2).font('Helvetica').fontSize(9).fillColor('#555')
+    .text(invoice.footer, left, doc.y, { width, align: 'center' });
+
+  doc.end();
+});
+
+module.exports = {
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
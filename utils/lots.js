@@ -0,0 +1,151 @@
+const Lot = require('../model/lot');
+const SerialNumber = require('../model/serialNumber');
+const HttpError = require('./httpError');
+
+const isExpired = (lot, now) => lot.expiryDate && lot.expiryDate <= now;
+
+// First-expiry-first-out, falling back to first-in-first-out for lots without expiry
+const byExpiry = (a, b) => {
+  const aExpiry = a.expiryDate ? a.expiryDate.getTime() : Infinity;
+  const bExpiry = b.expiryDate ? b.expiryDate.getTime() : Infinity;
+  return (aExpiry - bExpiry) || (a.receivedAt - b.receivedAt);
+};
+
+const unitFilter = (product, variant) => ({ product, variant: variant || null });
+
+// Book incoming units into lots and serial numbers.
+// `lots` is [{ lotNumber, expiryDate, quantity }]; units outside them stay untracked.
+// New stock needs a serial for every unit; `partialSerials` is for units coming
+// back from an earlier issue (transfers, cancellations, returns), which may have
+// been taken from mixed serialized and unserialized stock.
+const receiveTracked = async ({ product, variant, location, quantity, lots = [], serialNumbers = [], partialSerials = false, supplier, purchaseOrder, session }) => {
+  const lotTotal = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  if (lotTotal > quantity) {
+    throw new HttpError(400, `Lot quantities (${lotTotal}) exceed the quantity received (${quantity})`);
+  }
+  if (partialSerials && serialNumbers.length > quantity) {
+    throw new HttpError(400, `Expected at most ${quantity} serial numbers, got ${serialNumbers.length}`);
+  }
+  if (!partialSerials && serialNumbers.length > 0 && serialNumbers.length !== quantity) {
+    throw new HttpError(400, `Expected ${quantity} serial numbers, got ${serialNumbers.length}`);
+  }
+  if (new Set(serialNumbers).size !== serialNumbers.length) {
+    throw new HttpError(400, 'Duplicate serial numbers');
+  }
+
+  const booked = [];
+  for (const { lotNumber, expiryDate, quantity: lotQuantity } of lots) {
+    const lot = await Lot.findOneAndUpdate(
+      { ...unitFilter(product, variant), location, lotNumber },
+      {
+        $inc: { quantityReceived: lotQuantity, quantityRemaining: lotQuantity },
+        $setOnInsert: { expiryDate, supplier, purchaseOrder, receivedAt: new Date() }
+      },
+      { upsert: true, new: true, session }
+    );
+    booked.push({ lot: lot._id, lotNumber, expiryDate: lot.expiryDate, quantity: lotQuantity });
+  }
+
+  // Serial numbers can only be tied to a lot when there is exactly one
+  const lot = booked.length === 1 ? booked[0].lot : undefined;
+  for (const serial of serialNumbers) {
+    const existing = await SerialNumber.findOne({ product, serial }).session(session);
+    if (existing && existing.status === 'IN_STOCK') {
+      throw new HttpError(400, `Serial number already in stock: ${serial}`);
+    }
+
+    // A previously issued unit coming back (transfer or return) is booked in again
+    if (existing) {
+      existing.status = 'IN_STOCK';
+      existing.location = location;
+      existing.variant = variant || undefined;
+      if (lot) existing.lot = lot;
+      await existing.save({ session });
+    } else {
+      await SerialNumber.create([{ serial, product, variant: variant || undefined, lot, location }], { session });
+    }
+  }
+
+  return { lots: booked, serialNumbers };
+};
+
+// Take outgoing units from lots (FEFO: unexpired lots first, then untracked
+// stock, expired lots last, or only `lotNumber` when given) and serial numbers
+// (the given ones, otherwise the longest held).
+const issueTracked = async ({ product, variant, location, quantity, previousStock, lotNumber, serialNumbers = [], session }) => {
+  const lots = await Lot.find({
+    ...unitFilter(product, variant),
+    location,
+    quantityRemaining: { $gt: 0 }
+  }).session(session);
+
+  let sources;
+  if (lotNumber) {
+    sources = lots.filter(lot => lot.lotNumber === lotNumber);
+    const available = sources.reduce((sum, lot) => sum + lot.quantityRemaining, 0);
+    if (available < quantity) {
+      throw new HttpError(400, `Lot ${lotNumber} has ${available} units, ${quantity} requested`);
+    }
+  } else {
+    const now = new Date();
+    const tracked = lots.reduce((sum, lot) => sum + lot.quantityRemaining, 0);
+    sources = [
+      ...lots.filter(lot => !isExpired(lot, now)).sort(byExpiry),
+      { untracked: Math.max(0, previousStock - tracked) },
+      ...lots.filter(lot => isExpired(lot, now)).sort(byExpiry)
+    ];
+  }
+
+  const issued = [];
+  let remaining = quantity;
+  for (const source of sources) {
+    if (remaining <= 0) break;
+
+    if (source.untracked !== undefined) {
+      remaining -= Math.min(remaining, source.untracked);
+      continue;
+    }
+
+    const take = Math.min(remaining, source.quantityRemaining);
+    source.quantityRemaining -= take;
+    await source.save({ session });
+    issued.push({ lot: source._id, lotNumber: source.lotNumber, expiryDate: source.expiryDate, quantity: take });
+    remaining -= take;
+  }
+
+  let serials;
+  if (serialNumbers.length > 0) {
+    if (serialNumbers.length !== quantity) {
+      throw new HttpError(400, `Expected ${quantity} serial numbers, got ${serialNumbers.length}`);
+    }
+    serials = await SerialNumber.find({
+      ...unitFilter(product, variant),
+      serial: { $in: serialNumbers },
+      location,
+      status: 'IN_STOCK'
+    }).session(session);
+    if (serials.length !== serialNumbers.length) {
+      const found = serials.map(s => s.serial);
+      const missing = serialNumbers.filter(serial => !found.includes(serial));
+      throw new HttpError(400, `Serial numbers not in stock at this location: ${missing.join(', ')}`);
+    }
+  } else {
+    serials = await SerialNumber.find({
+      ...unitFilter(product, variant),
+      location,
+      status: 'IN_STOCK'
+    }).sort({ updatedAt: 1 }).limit(quantity).session(session);
+  }
+
+  for (const serial of serials) {
+    serial.status = 'ISSUED';
+    await serial.save({ session });
+  }
+
+  return { lots: issued, serialNumbers: serials.map(s => s.serial) };
+};
+
+module.exports = {
+  receiveTracked,
+  issueTracked
+};
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+let transport;
+
+// SMTP when SMTP_HOST is set; otherwise (or with MAIL_TRANSPORT=json) a stand-in
+// transport that builds the message without sending it, for local use and tests
+const getTransport = () => {
+  if (!transport) {
+    if (process.env.SMTP_HOST && process.env.MAIL_TRANSPORT !== 'json') {
+      transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    } else {
+      transport = nodemailer.createTransport({ jsonTransport: true });
+    }
+  }
+  return transport;
+};
+
+const sendMail = (message) => getTransport().sendMail({
+  from: process.env.MAIL_FROM || 'billing@localhost',
+  ...message
+});
+
+module.exports = { getTransport, sendMail };
@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const Product = require('../model/Products');
+const { getDefaultLocation, applyStockMovement } = require('./stock');
+const { removeStoredFiles } = require('./storage');
+
+// Columns used for CSV export and understood on import. List fields are
+// separated with "|": features and images as plain values, colours as
+// name:label:#hex, sizes as name:label and specifications as key=value.
+// Specifications can also be given as one "specifications.<key>" column each.
+const CSV_COLUMNS = [
+  'sku', 'name', 'description', 'category', 'price', 'originalPrice', 'costPrice',
+  'stockCount', 'reorderPoint', 'reorderQuantity', 'leadTimeDays',
+  'features', 'images', 'colors', 'sizes', 'specifications', 'isActive'
+];
+
+const NUMBER_FIELDS = ['price', 'originalPrice', 'costPrice', 'stockCount', 'reorderPoint', 'reorderQuantity', 'leadTimeDays'];
+
+const splitList = (value) => (value || '').split('|').map(item => item.trim()).filter(Boolean);
+
+// Turn a CSV record into product fields, collecting format errors
+const fromCsvRow = (row) => {
+  const fields = {};
+  const errors = [];
+
+  ['sku', 'name', 'description', 'category'].forEach(column => {
+    if (row[column] !== undefined && row[column].trim() !== '') fields[column] = row[column].trim();
+  });
+
+  NUMBER_FIELDS.forEach(column => {
+    if (row[column] === undefined || row[column].trim() === '') return;
+    const value = Number(row[column]);
+    if (Number.isNaN(value)) {
+      errors.push(`${column} must be a number`);
+    } else {
+      fields[column] = value;
+    }
+  });
+
+  if (row.isActive !== undefined && row.isActive.trim() !== '') {
+    const value = row.isActive.trim().toLowerCase();
+    if (!['true', 'false'].includes(value)) {
+      errors.push('isActive must be true or false');
+    } else {
+      fields.isActive = value === 'true';
+    }
+  }
+
+  if (row.features !== undefined) fields.features = splitList(row.features);
+  if (row.images !== undefined) fields.images = splitList(row.images);
+
+  if (row.colors !== undefined) {
+    fields.colors = splitList(row.colors).map(entry => {
+      const [name, label, hex] = entry.split(':').map(part => part.trim());
+      if (!name || !label || !hex) errors.push(`Colour "${entry}" must be name:label:#hex`);
+      return { name, label, hex };
+    });
+  }
+
+  if (row.sizes !== undefined) {
+    fields.sizes = splitList(row.sizes).map(entry => {
+      const [name, label] = entry.split(':').map(part => part.trim());
+      if (!name || !label) errors.push(`Size "${entry}" must be name:label`);
+      return { name, label };
+    });
+  }
+
+  const specifications = {};
+  splitList(row.specifications).forEach(entry => {
+    const separator = entry.indexOf('=');
+    if (separator < 1) {
+      errors.push(`Specification "${entry}" must be key=value`);
+    } else {
+      specifications[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+  });
+  Object.keys(row)
+    .filter(column => column.startsWith('specifications.') && row[column].trim() !== '')
+    .forEach(column => {
+      specifications[column.slice('specifications.'.length)] = row[column].trim();
+    });
+  if (row.specifications !== undefined || Object.keys(specifications).length > 0) {
+    fields.specifications = specifications;
+  }
+
+  return { fields, errors };
+};
+
+// Inverse of fromCsvRow
+const toCsvRow = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  category: product.category,
+  price: product.price,
+  originalPrice: product.originalPrice,
+  costPrice: product.costPrice,
+  stockCount: product.stockCount,
+  reorderPoint: product.reorderPoint,
+  reorderQuantity: product.reorderQuantity,
+  leadTimeDays: product.leadTimeDays,
+  features: product.features.join('|'),
+  images: product.images.map(image => image.url).join('|'),
+  colors: product.colors.map(c => `${c.name}:${c.label}:${c.hex}`).join('|'),
+  sizes: product.sizes.map(s => `${s.name}:${s.label}`).join('|'),
+  specifications: product.specifications
+    ? [...product.specifications.entries()].map(([key, value]) => `${key}=${value}`).join('|')
+    : '',
+  isActive: product.isActive
+});
+
+// JSON export/import uses the schema field names
+const JSON_FIELDS = [...CSV_COLUMNS];
+
+const toJsonRecord = (product) => {
+  const record = {};
+  JSON_FIELDS.forEach(field => {
+    if (product[field] === undefined) return;
+    record[field] = field === 'specifications'
+      ? Object.fromEntries(product.specifications || [])
+      : product[field];
+  });
+  record.images = product.images.map(({ url, isPrimary }) => ({ url, isPrimary }));
+  record.colors = product.colors.map(({ name, label, hex }) => ({ name, label, hex }));
+  record.sizes = product.sizes.map(({ name, label }) => ({ name, label }));
+  return record;
+};
+
+const fromJsonRecord = (record) => {
+  const fields = {};
+  const errors = [];
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { fields, errors: ['Row must be an object'] };
+  }
+  JSON_FIELDS.forEach(field => {
+    if (record[field] !== undefined) fields[field] = record[field];
+  });
+  if (fields.images !== undefined) {
+    if (Array.isArray(fields.images)) {
+      fields.images = fields.images.map(Product.externalImage);
+    } else {
+      errors.push('images must be an array');
+    }
+  }
+  return { fields, errors };
+};
+
+// Check every row and work out whether it creates or updates a product.
+// Stock on existing products only changes through the inventory endpoints,
+// so stockCount is ignored for them.
+const planImport = async (records, format, user) => {
+  const parse = format === 'csv' ? fromCsvRow : fromJsonRecord;
+  const skus = records
+    .map(record => (record && typeof record.sku === 'string' ? record.sku.trim() : null))
+    .filter(Boolean);
+  const existing = await Product.find({ sku: { $in: skus } });
+  const bySku = new Map(existing.map(product => [product.sku, product]));
+  const seen = new Set();
+
+  return records.map((record, index) => {
+    const { fields, errors } = parse(record);
+    const row = index + 1;
+    const sku = fields.sku;
+    const warnings = [];
+
+    if (!sku) {
+      return { row, sku, action: null, errors: [...errors, 'sku is required'], warnings };
+    }
+    if (seen.has(sku)) {
+      return { row, sku, action: null, errors: [...errors, 'Duplicate sku in file'], warnings };
+    }
+    seen.add(sku);
+
+    const current = bySku.get(sku);
+    const { stockCount, ...updates } = fields;
+    const candidate = current
+      ? Product.hydrate(current.toObject())
+      : new Product({ ...updates, stockCount: 0, createdBy: user._id });
+    if (current) {
+      candidate.set(updates);
+      if (stockCount !== undefined && stockCount !== current.stockCount) {
+        warnings.push('stockCount ignored for existing products; use the inventory endpoints');
+      }
+    } else if (stockCount !== undefined && (!Number.isInteger(stockCount) || stockCount < 0)) {
+      errors.push('stockCount must be a whole number of at least 0');
+    }
+
+    const validation = candidate.validateSync();
+    if (validation) {
+      Object.values(validation.errors).forEach(error => errors.push(error.message));
+    }
+
+    return {
+      row,
+      sku,
+      action: current ? 'update' : 'create',
+      errors,
+      warnings,
+      fields: updates,
+      openingStock: current ? 0 : (stockCount || 0),
+      product: current
+    };
+  });
+};
+
+// Validate and, unless dryRun, apply the import in one transaction. Rows with
+// errors stop the whole import unless skipInvalid is set.
+const importProducts = async ({ records, format, dryRun = false, skipInvalid = false, user }) => {
+  const plan = await planImport(records, format, user);
+  const invalid = plan.filter(row => row.errors.length > 0);
+  const valid = plan.filter(row => row.errors.length === 0);
+
+  const report = {
+    dryRun,
+    total: plan.length,
+    created: valid.filter(row => row.action === 'create').length,
+    updated: valid.filter(row => row.action === 'update').length,
+    failed: invalid.length,
+    rows: plan.map(({ row, sku, action, errors, warnings }) => ({ row, sku, action, errors, warnings }))
+  };
+
+  if (dryRun || (invalid.length > 0 && !skipInvalid) || valid.length === 0) {
+    return { ...report, applied: false };
+  }
+
+  const removedKeys = [];
+  await mongoose.connection.transaction(async (session) => {
+    let location;
+    removedKeys.length = 0; // The callback reruns if the transaction is retried
+    for (const row of valid) {
+      if (row.action === 'update') {
+        const product = await Product.findById(row.product._id).session(session);
+        const { images, ...fields } = row.fields;
+        product.set(fields);
+        if (images !== undefined) removedKeys.push(...product.replaceImages(images));
+        product.updatedBy = user._id;
+        product.$locals.priceChange = { source: 'IMPORT', changedBy: user._id };
+        await product.save({ session });
+        continue;
+      }
+
+      const [product] = await Product.create([{
+        ...row.fields,
+        stockCount: 0,
+        createdBy: user._id
+      }], { session });
+
+      // Opening stock goes through the ledger like POST /api/products
+      if (row.openingStock > 0) {
+        location = location || await getDefaultLocation(session);
+        await applyStockMovement({
+          product: product._id,
+          location,
+          type: 'IN',
+          delta: row.openingStock,
+          reason: 'Opening stock',
+          reference: 'Product import',
+          performedBy: user._id,
+          session
+        });
+      }
+    }
+  });
+
+  // Uploaded files whose images were dropped by the import
+  await removeStoredFiles(removedKeys);
+
+  return { ...report, applied: true };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  toCsvRow,
+  toJsonRecord,
+  importProducts
+};
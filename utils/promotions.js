@@ -0,0 +1,79 @@
+const Promotion = require('../model/promotion');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const includesId = (ids, id) => ids.some(existing => existing.toString() === id.toString());
+
+// Promotions running at `at`
+const loadActivePromotions = (at = new Date(), session = null) => Promotion.find({
+  isActive: true,
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gte: at } }] }
+  ]
+}).session(session);
+
+const appliesTo = (promotion, line, adminId) =>
+  line.quantity >= promotion.minQuantity &&
+  (promotion.products.length === 0 || includesId(promotion.products, line.product)) &&
+  (promotion.categories.length === 0 || promotion.categories.includes(line.category)) &&
+  (promotion.admins.length === 0 || includesId(promotion.admins, adminId));
+
+// Value of the highest quantity break the line reaches, else the base value
+const valueFor = (promotion, quantity) => {
+  const reached = promotion.quantityBreaks
+    .filter(tier => quantity >= tier.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity);
+  return reached.length > 0 ? reached[0].value : promotion.value;
+};
+
+const discountFor = (promotion, line) => {
+  const value = valueFor(promotion, line.quantity);
+  const gross = line.unitPrice * line.quantity;
+  const amount = promotion.valueType === 'PERCENTAGE'
+    ? gross * value / 100
+    : value * line.quantity;
+  return {
+    promotion: promotion._id,
+    name: promotion.name,
+    valueType: promotion.valueType,
+    value,
+    amount: round(Math.min(amount, gross))
+  };
+};
+
+// Work out the promotion discount for each line. Stackable rules add up; the
+// best exclusive rule is used instead when it gives more. The total never
+// exceeds the line value. `lines` are [{ product, category, quantity, unitPrice }].
+const applyPromotions = (promotions, lines, adminId) => lines.map(line => {
+  const gross = round(line.unitPrice * line.quantity);
+  const matching = promotions.filter(promotion => appliesTo(promotion, line, adminId));
+
+  const stacked = matching.filter(promotion => promotion.stackable).map(promotion => discountFor(promotion, line));
+  const stackedAmount = stacked.reduce((sum, discount) => sum + discount.amount, 0);
+
+  const bestExclusive = matching
+    .filter(promotion => !promotion.stackable)
+    .map(promotion => discountFor(promotion, line))
+    .sort((a, b) => b.amount - a.amount)[0];
+
+  const discounts = bestExclusive && bestExclusive.amount > stackedAmount ? [bestExclusive] : stacked;
+
+  // Trim the last discounts so stacked rules never take the line below zero
+  let remaining = gross;
+  const applied = discounts.map(discount => {
+    const amount = round(Math.min(discount.amount, remaining));
+    remaining = round(remaining - amount);
+    return { ...discount, amount };
+  }).filter(discount => discount.amount > 0);
+
+  return {
+    discounts: applied,
+    discountAmount: round(applied.reduce((sum, discount) => sum + discount.amount, 0))
+  };
+});
+
+module.exports = {
+  loadActivePromotions,
+  applyPromotions
+};
@@ -0,0 +1,115 @@
+const InventoryTransaction = require('../model/inventory');
+
+// Signed effect of a transaction. ADJUSTMENT quantities used to be stored as
+// absolute values, so their direction comes from the recorded stock levels.
+const signedQuantity = (transaction) => {
+  if (transaction.type === 'IN') return transaction.quantity;
+  if (transaction.type === 'OUT') return -transaction.quantity;
+  return transaction.newStock - transaction.previousStock;
+};
+
+const keyOf = (location, variant) => `${location || 'none'}:${variant || 'none'}`;
+
+// Replay a product's InventoryTransaction history per location/variant and
+// compare the result with its stored stock levels. The opening balance of each
+// ledger is the first transaction's previousStock (stock that predates the log).
+const reconcileProduct = async (product, session = null) => {
+  const transactions = await InventoryTransaction.find({ product: product._id, bucket: { $ne: 'DAMAGED' } })
+    .select('type quantity previousStock newStock location variant createdAt reference')
+    .sort({ createdAt: 1, _id: 1 })
+    .session(session)
+    .lean();
+
+  const ledgers = new Map();
+  for (const transaction of transactions) {
+    const key = keyOf(transaction.location, transaction.variant);
+    if (!ledgers.has(key)) {
+      ledgers.set(key, {
+        location: transaction.location || null,
+        variant: transaction.variant || null,
+        opening: transaction.previousStock,
+        balance: transaction.previousStock,
+        transactions: 0,
+        chainBreaks: []
+      });
+    }
+
+    const ledger = ledgers.get(key);
+    if (transaction.previousStock !== ledger.balance) {
+      ledger.chainBreaks.push({
+        transaction: transaction._id,
+        date: transaction.createdAt,
+        expectedPrevious: ledger.balance,
+        recordedPrevious: transaction.previousStock
+      });
+    }
+    ledger.balance += signedQuantity(transaction);
+    ledger.transactions += 1;
+  }
+
+  // Entries without a location predate per-location stock; once located
+  // ledgers exist, their balance is carried as the located ledgers' opening
+  const located = [...ledgers.values()].filter(ledger => ledger.location);
+  const lines = [];
+
+  if (product.stockByLocation.length > 0) {
+    for (const entry of product.stockByLocation) {
+      const ledger = ledgers.get(keyOf(entry.location, entry.variant));
+      lines.push({
+        location: entry.location,
+        variant: entry.variant || null,
+        stock: entry.quantity,
+        ledger: ledger ? ledger.balance : null,
+        difference: ledger ? entry.quantity - ledger.balance : null,
+        transactions: ledger ? ledger.transactions : 0,
+        chainBreaks: ledger ? ledger.chainBreaks : []
+      });
+    }
+
+    // Ledgers for locations the product no longer has an entry for should be empty
+    for (const ledger of located) {
+      const hasEntry = product.stockByLocation
+        .some(entry => keyOf(entry.location, entry.variant) === keyOf(ledger.location, ledger.variant));
+      if (!hasEntry) {
+        lines.push({
+          location: ledger.location,
+          variant: ledger.variant,
+          stock: 0,
+          ledger: ledger.balance,
+          difference: -ledger.balance,
+          transactions: ledger.transactions,
+          chainBreaks: ledger.chainBreaks
+        });
+      }
+    }
+  }
+
+  let ledgerTotal;
+  if (located.length > 0) {
+    ledgerTotal = located.reduce((sum, ledger) => sum + ledger.balance, 0);
+  } else if (ledgers.size > 0) {
+    ledgerTotal = [...ledgers.values()].reduce((sum, ledger) => sum + ledger.balance, 0);
+  } else {
+    ledgerTotal = null;
+  }
+
+  const difference = ledgerTotal === null ? null : product.stockCount - ledgerTotal;
+  const chainBreaks = [...ledgers.values()].reduce((sum, ledger) => sum + ledger.chainBreaks.length, 0);
+
+  return {
+    product: { _id: product._id, name: product.name, sku: product.sku },
+    stockCount: product.stockCount,
+    ledgerStock: ledgerTotal,
+    difference,
+    hasHistory: transactions.length > 0,
+    chainBreaks,
+    mismatched: (difference !== null && difference !== 0) ||
+      lines.some(line => line.difference !== null && line.difference !== 0),
+    lines
+  };
+};
+
+module.exports = {
+  signedQuantity,
+  reconcileProduct
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Reservation = require('../model/reservation');
+
+// A hold only counts while it is ACTIVE and not past its expiry, even if the
+// sweeper has not caught up with it yet
+const activeHoldFilter = () => ({ status: 'ACTIVE', expiresAt: { $gt: new Date() } });
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Map of productId -> units held, optionally for one location and ignoring one user's holds
+const getReservedByProduct = async (productIds, { location, excludeUser, session = null } = {}) => {
+  const match = activeHoldFilter();
+  if (productIds) match.product = { $in: productIds.map(toObjectId) };
+  if (location) match.location = toObjectId(location);
+  if (excludeUser) match.user = { $ne: toObjectId(excludeUser) };
+
+  const rows = await Reservation.aggregate([
+    { $match: match },
+    { $group: { _id: '$product', quantity: { $sum: '$quantity' } } }
+  ]).session(session);
+
+  return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+};
+
+// Units held of one product, or of one of its variants (product-level stock
+// when `variant` is unset), optionally for one location and ignoring one user's holds
+const getReservedQuantity = async (productId, { variant, location, excludeUser, session = null } = {}) => {
+  const match = {
+    ...activeHoldFilter(),
+    product: toObjectId(productId),
+    variant: variant ? toObjectId(variant) : null
+  };
+  if (location) match.location = toObjectId(location);
+  if (excludeUser) match.user = { $ne: toObjectId(excludeUser) };
+
+  const [row] = await Reservation.aggregate([
+    { $match: match },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]).session(session);
+
+  return row ? row.quantity : 0;
+};
+
+// Add reservedStock/availableStock to product documents for API responses
+const withAvailability = async (products, { location } = {}) => {
+  const reserved = await getReservedByProduct(products.map(p => p._id), { location });
+  return products.map(product => {
+    const reservedStock = reserved.get(product._id.toString()) || 0;
+    return {
+      ...product.toObject(),
+      reservedStock,
+      availableStock: Math.max(0, product.stockCount - reservedStock)
+    };
+  });
+};
+
+// Use up a user's holds on a product or variant (earliest expiry first) once the stock is billed to them
+const consumeReservations = async ({ product, variant, location, user, quantity, reference, session }) => {
+  const holds = await Reservation.find({
+    ...activeHoldFilter(),
+    product,
+    variant: variant || null,
+    location,
+    user
+  }).sort({ expiresAt: 1 }).session(session);
+
+  let remaining = quantity;
+  for (const hold of holds) {
+    if (remaining <= 0) break;
+
+    if (hold.quantity <= remaining) {
+      remaining -= hold.quantity;
+      hold.status = 'CONSUMED';
+      hold.consumedBy = reference;
+    } else {
+      hold.quantity -= remaining;
+      remaining = 0;
+    }
+    await hold.save({ session });
+  }
+};
+
+module.exports = {
+  activeHoldFilter,
+  getReservedByProduct,
+  getReservedQuantity,
+  withAvailability,
+  consumeReservations
+};
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Product = require('../model/Products');
+const getSearchConfig = require('../Config/search');
+const HttpError = require('./httpError');
+const { FIELD_WEIGHTS, tokenize, productSearchFields, searchTermsFor } = require('./searchIndex');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "a,b" or ["a", "b"] -> ["a", "b"]
+const list = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Typos allowed between a search word and the start of a product word
+const allowedEdits = (term) => term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2;
+
+// Edit distance counting a swap of neighbouring letters as one edit
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// How well a search word matches a product word: 1 for the whole word, 0.8
+// for a prefix ("avia" -> "aviator"), less for a prefix with typos
+// ("aviatr" -> "aviator"), 0 for no match. The first letter must be right or
+// swapped with the second.
+const matchWord = (term, word) => {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+
+  const edits = allowedEdits(term);
+  if (edits === 0 || (word[0] !== term[0] && word[0] !== term[1])) return 0;
+
+  let best = Infinity;
+  for (let length = term.length - edits; length <= term.length + edits; length++) {
+    if (length >= 1 && length <= word.length) {
+      best = Math.min(best, editDistance(term, word.slice(0, length)));
+    }
+  }
+  return best <= edits ? 0.6 - 0.2 * best : 0;
+};
+
+// Stored terms a search word could match, as anchored prefixes the searchTerms
+// index can serve. Typo-tolerant words only pin their first two letters.
+const candidatePrefixes = (term) => {
+  if (term.length < 2 || allowedEdits(term) === 0) return [term];
+  return [...new Set([term.slice(0, 2), term[1] + term[0]])];
+};
+
+// Every search word has to match somewhere; each adds its best match weighted
+// by the field it was found in, and the whole phrase in the name adds a bonus
+const scoreProduct = (terms, product) => {
+  const fields = productSearchFields(product);
+  let score = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    Object.entries(fields).forEach(([field, words]) => {
+      words.forEach(word => {
+        best = Math.max(best, FIELD_WEIGHTS[field] * matchWord(term, word));
+      });
+    });
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  if (terms.length > 1 && fields.name.join(' ').includes(terms.join(' '))) {
+    score += FIELD_WEIGHTS.name;
+  }
+  return Math.round(score * 1000) / 1000;
+};
+
+// Map of productId -> relevance for the products within `base` that match every search word
+const matchSearch = async (terms, base) => {
+  const { candidateLimit } = getSearchConfig();
+  const candidates = await Product.find({
+    ...base,
+    $and: terms.map(term => ({
+      searchTerms: { $in: candidatePrefixes(term).map(prefix => new RegExp(`^${escapeRegex(prefix)}`)) }
+    }))
+  })
+    .select('name sku category colors sizes features specifications description')
+    .limit(candidateLimit)
+    .lean();
+
+  const scores = new Map();
+  candidates.forEach(product => {
+    const score = scoreProduct(terms, product);
+    if (score > 0) scores.set(product._id.toString(), score);
+  });
+  return scores;
+};
+
+// Filters that are not faceted go into `base`; each faceted filter is kept
+// apart so its facet can be counted with the other filters applied but not itself
+const parseCatalogueFilters = ({ category, color, size, minPrice, maxPrice, inStock, locationId }) => {
+  const base = { isActive: true };
+  const filters = {};
+
+  // Location filter (products with stock at that location)
+  if (locationId) {
+    if (!mongoose.Types.ObjectId.isValid(locationId)) {
+      throw new HttpError(400, 'Invalid locationId');
+    }
+    base.stockByLocation = {
+      $elemMatch: { location: new mongoose.Types.ObjectId(locationId), quantity: { $gt: 0 } }
+    };
+  }
+
+  if (category) filters.category = { category: { $in: list(category) } };
+  if (color) filters.color = { 'colors.name': { $in: list(color) } };
+  if (size) filters.size = { 'sizes.name': { $in: list(size) } };
+
+  if (minPrice || maxPrice) {
+    const price = {};
+    if (minPrice) price.$gte = parseFloat(minPrice);
+    if (maxPrice) price.$lte = parseFloat(maxPrice);
+    filters.price = { price };
+  }
+
+  if (inStock !== undefined) filters.inStock = { inStock: inStock === 'true' };
+
+  return { base, filters };
+};
+
+const combine = (base, filters, except) => {
+  const parts = Object.entries(filters)
+    .filter(([name]) => name !== except)
+    .map(([, filter]) => filter);
+  return parts.length > 0 ? { $and: [base, ...parts] } : base;
+};
+
+// Resolve catalogue query parameters (filters plus an optional `search`)
+// into the match used for listing and facets. `scores` is set when searching.
+const findCatalogue = async (params) => {
+  const { base, filters } = parseCatalogueFilters(params);
+  const terms = [...new Set(tokenize(params.search))];
+
+  let scores = null;
+  if (terms.length > 0) {
+    scores = await matchSearch(terms, base);
+    base._id = { $in: [...scores.keys()].map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  return { base, filters, scores, match: combine(base, filters) };
+};
+
+// One page of matching product ids in display order. Searches are ordered by
+// relevance unless another sortBy is given; a limit of 0 returns every match.
+const listCatalogue = async ({ match, scores }, { page = 1, limit = 0, sortBy, sortOrder = 'desc' } = {}) => {
+  if (scores && (!sortBy || sortBy === 'relevance')) {
+    const matches = await Product.find(match).select('_id createdAt').lean();
+    matches.sort((a, b) =>
+      scores.get(b._id.toString()) - scores.get(a._id.toString()) || b.createdAt - a.createdAt
+    );
+    const ids = matches.map(product => product._id);
+    return { ids: limit ? ids.slice((page - 1) * limit, page * limit) : ids, total: ids.length };
+  }
+
+  const sort = {};
+  sort[!sortBy || sortBy === 'relevance' ? 'createdAt' : sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+  let query = Product.find(match).sort(sort).select('_id');
+  if (limit) query = query.skip((page - 1) * limit).limit(limit);
+
+  const [rows, total] = await Promise.all([query.lean(), Product.countDocuments(match)]);
+  return { ids: rows.map(row => row._id), total };
+};
+
+// Put documents fetched with $in back into the order of `ids`
+const inOrder = (documents, ids) => {
+  const byId = new Map(documents.map(document => [document._id.toString(), document]));
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Counts for the storefront's filter sidebar. Each facet applies every active
+// filter except its own, so choosing one colour still shows the other colours.
+const catalogueFacets = async ({ base, filters }) => {
+  const { priceBuckets } = getSearchConfig();
+  const boundaries = [0, ...priceBuckets.filter(boundary => boundary > 0), Number.MAX_VALUE];
+  const others = (name) => ({ $match: combine({}, filters, name) });
+  const byCount = { $sort: { count: -1, _id: 1 } };
+
+  const [result] = await Product.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        categories: [
+          others('category'),
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          byCount
+        ],
+        colors: [
+          others('color'),
+          { $unwind: '$colors' },
+          { $group: { _id: '$colors.name', label: { $first: '$colors.label' }, hex: { $first: '$colors.hex' }, products: { $addToSet: '$_id' } } },
+          { $project: { label: 1, hex: 1, count: { $size: '$products' } } },
+          byCount
+        ],
+        sizes: [
+          others('size'),
+          { $unwind: '$sizes' },
+          { $group: { _id: '$sizes.name', label: { $first: '$sizes.label' }, products: { $addToSet: '$_id' } } },
+          { $project: { label: 1, count: { $size: '$products' } } },
+          byCount
+        ],
+        price: [
+          others('price'),
+          { $bucket: { groupBy: '$price', boundaries, default: 'other', output: { count: { $sum: 1 } } } }
+        ],
+        inStock: [
+          others('inStock'),
+          { $group: { _id: '$inStock', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const countOf = (rows, value) => (rows.find(row => row._id === value) || { count: 0 }).count;
+
+  return {
+    categories: result.categories.map(({ _id, count }) => ({ value: _id, count })),
+    colors: result.colors.map(({ _id, label, hex, count }) => ({ value: _id, label, hex, count })),
+    sizes: result.sizes.map(({ _id, label, count }) => ({ value: _id, label, count })),
+    priceRanges: boundaries.slice(0, -1).map((min, index) => ({
+      min,
+      max: index < boundaries.length - 2 ? boundaries[index + 1] : null,
+      count: countOf(result.price, min)
+    })),
+    inStock: [true, false].map(value => ({ value, count: countOf(result.inStock, value) }))
+  };
+};
+
+// Products saved before search terms were stored
+const backfillSearchTerms = async () => {
+  const products = await Product.find({ searchTerms: { $exists: false } });
+  for (const product of products) {
+    await Product.updateOne({ _id: product._id }, { searchTerms: searchTermsFor(product) });
+  }
+  return products.length;
+};
+
+module.exports = {
+  findCatalogue,
+  listCatalogue,
+  inOrder,
+  catalogueFacets,
+  backfillSearchTerms
+};
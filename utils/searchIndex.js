@@ -0,0 +1,48 @@
+// Words a product can be found by, split per field with the weight a match in
+// that field carries when ranking results. Products store the union of these
+// words in `searchTerms` so candidates can be found with an anchored index scan.
+const FIELD_WEIGHTS = {
+  name: 10,
+  sku: 8,
+  category: 4,
+  options: 3, // colours and sizes
+  details: 2, // features and specification values
+  description: 1
+};
+
+// Lowercase words with accents removed: "Clear Aviator - Rosé" -> ["clear", "aviator", "rose"]
+const tokenize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const productSearchFields = (product) => {
+  const specifications = product.specifications instanceof Map
+    ? [...product.specifications.values()]
+    : Object.values(product.specifications || {});
+  const sku = product.sku || '';
+
+  return {
+    name: tokenize(product.name),
+    // "RB-3025" can be searched as "rb", "3025" or "rb3025"
+    sku: [...tokenize(sku), tokenize(sku).join('')],
+    category: tokenize(product.category),
+    options: tokenize([
+      ...(product.colors || []).flatMap(color => [color.name, color.label]),
+      ...(product.sizes || []).flatMap(size => [size.name, size.label])
+    ].join(' ')),
+    details: tokenize([...(product.features || []), ...specifications].join(' ')),
+    description: tokenize(product.description)
+  };
+};
+
+const searchTermsFor = (product) => [...new Set(Object.values(productSearchFields(product)).flat())];
+
+module.exports = {
+  FIELD_WEIGHTS,
+  tokenize,
+  productSearchFields,
+  searchTermsFor
+};
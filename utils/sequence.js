@@ -0,0 +1,49 @@
+const Counter = require('../model/counter');
+const getNumberingConfig = require('../Config/numbering');
+
+// Financial year containing `date`, e.g. { start: 2026, label: '2026-27' } for
+// a year starting in April
+const financialYear = (date, startMonth) => {
+  const start = date.getMonth() + 1 >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+  const label = startMonth === 1
+    ? `${start}`
+    : `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+  return { start, label };
+};
+
+// Increment and return a named counter. Inside a transaction the increment is
+// rolled back with everything else, so numbers are never skipped; concurrent
+// transactions conflict on the counter and are retried in turn.
+const nextSequence = async (key, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+const formatNumber = (format, values) => format.replace(/\{(\w+)(?::(\d+))?\}/g, (match, key, width) => {
+  if (values[key] === undefined) return match;
+  return width ? String(values[key]).padStart(parseInt(width), '0') : String(values[key]);
+});
+
+// Next bill number for the financial year `date` falls in
+const nextBillNumber = async (date = new Date(), session = null) => {
+  const config = getNumberingConfig();
+  const fy = financialYear(date, config.financialYearStartMonth);
+  const seq = await nextSequence(`bill:${fy.label}`, session);
+
+  return formatNumber(config.billFormat, {
+    prefix: config.billPrefix,
+    fy: fy.label,
+    fyStart: fy.start,
+    seq
+  });
+};
+
+module.exports = {
+  financialYear,
+  nextSequence,
+  nextBillNumber
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Bill = require('../model/Bills');
+const Payment = require('../model/payment');
+const CreditNote = require('../model/creditNote');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Every entry on an admin's account, oldest first: bills as debits, recorded
+// payments, credit notes and cancellations as credits. Voided payments are
+// left out as if they had never been recorded.
+const accountEntries = async (adminId, endDate) => {
+  const admin = new mongoose.Types.ObjectId(adminId);
+  const upTo = endDate ? { $lte: endDate } : { $exists: true };
+
+  const bills = await Bill.find({ adminId: admin, createdAt: upTo })
+    .select('billNumber total createdAt dueDate status cancelledAt cancellationReason');
+  const payments = await Payment.find({
+    bill: { $in: bills.map(bill => bill._id) },
+    status: 'RECORDED',
+    paidAt: upTo
+  }).select('bill amount method reference paidAt');
+  const creditNotes = await CreditNote.find({ adminId: admin, createdAt: upTo })
+    .select('creditNoteNumber bill total createdAt reason');
+
+  const billNumbers = new Map(bills.map(bill => [bill._id.toString(), bill.billNumber]));
+
+  const entries = [];
+  bills.forEach(bill => {
+    entries.push({
+      date: bill.createdAt,
+      type: 'BILL',
+      reference: bill.billNumber,
+      description: `Bill ${bill.billNumber}, due ${bill.dueDate.toISOString().slice(0, 10)}`,
+      debit: bill.total,
+      credit: 0
+    });
+    if (bill.status === 'CANCELLED' && bill.cancelledAt && (!endDate || bill.cancelledAt <= endDate)) {
+      entries.push({
+        date: bill.cancelledAt,
+        type: 'CANCELLATION',
+        reference: bill.billNumber,
+        description: `Bill ${bill.billNumber} cancelled: ${bill.cancellationReason}`,
+        debit: 0,
+        credit: bill.total
+      });
+    }
+  });
+  payments.forEach(payment => {
+    const billNumber = billNumbers.get(payment.bill.toString());
+    entries.push({
+      date: payment.paidAt,
+      type: 'PAYMENT',
+      reference: payment.reference || billNumber,
+      description: `Payment (${payment.method}) for ${billNumber}`,
+      debit: 0,
+      credit: payment.amount
+    });
+  });
+  creditNotes.forEach(creditNote => {
+    entries.push({
+      date: creditNote.createdAt,
+      type: 'CREDIT_NOTE',
+      reference: creditNote.creditNoteNumber,
+      description: `Credit note for ${billNumbers.get(creditNote.bill.toString())}: ${creditNote.reason}`,
+      debit: 0,
+      credit: creditNote.total
+    });
+  });
+
+  return entries.sort((a, b) => a.date - b.date);
+};
+
+// Statement of account for a period: entries before startDate roll into the
+// opening balance, each entry in the period carries the running balance.
+// A positive balance is owed by the admin.
+const buildStatement = async (adminId, { startDate, endDate } = {}) => {
+  const entries = await accountEntries(adminId, endDate);
+
+  let openingBalance = 0;
+  let balance = 0;
+  const lines = [];
+  for (const entry of entries) {
+    balance = round(balance + entry.debit - entry.credit);
+    if (startDate && entry.date < startDate) {
+      openingBalance = balance;
+    } else {
+      lines.push({ ...entry, balance });
+    }
+  }
+
+  return {
+    period: { startDate, endDate },
+    openingBalance,
+    entries: lines,
+    totals: {
+      debits: round(lines.reduce((sum, line) => sum + line.debit, 0)),
+      credits: round(lines.reduce((sum, line) => sum + line.credit, 0))
+    },
+    closingBalance: balance
+  };
+};
+
+module.exports = { buildStatement };
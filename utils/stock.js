@@ -0,0 +1,245 @@
+const Location = require('../model/location');
+const Product = require('../model/Products');
+const InventoryTransaction = require('../model/inventory');
+const SerialNumber = require('../model/serialNumber');
+const HttpError = require('./httpError');
+const { receiveTracked, issueTracked } = require('./lots');
+const { addCostLayer, consumeCostLayers } = require('./costing');
+
+// Get the default location, creating it on first use
+const getDefaultLocation = async (session = null) => {
+  let location = await Location.findOne({ isDefault: true, isActive: true }).session(session);
+  if (!location) {
+    location = await Location.findOne({ code: 'MAIN' }).session(session);
+    if (location) {
+      location.isDefault = true;
+      location.isActive = true;
+      await location.save({ session });
+    } else {
+      [location] = await Location.create([{
+        name: 'Main Warehouse',
+        code: 'MAIN',
+        type: 'WAREHOUSE',
+        isDefault: true
+      }], { session });
+    }
+  }
+  return location;
+};
+
+// Resolve an active location by id, falling back to the default location
+const resolveLocation = async (locationId, session = null) => {
+  if (!locationId) {
+    return getDefaultLocation(session);
+  }
+  return Location.findOne({ _id: locationId, isActive: true }).session(session);
+};
+
+// Products created before locations existed only have stockCount (or per-variant
+// stockCount); park that stock at the default location so per-location levels add up
+const seedLocationStock = async (product, session = null) => {
+  if (product.stockByLocation.length > 0) {
+    return;
+  }
+
+  const opening = product.variants.length > 0
+    ? product.variants.filter(v => v.stockCount > 0).map(v => ({ variant: v._id, quantity: v.stockCount }))
+    : (product.stockCount > 0 ? [{ quantity: product.stockCount }] : []);
+  if (opening.length === 0) {
+    return;
+  }
+
+  const location = await getDefaultLocation(session);
+  opening.forEach(entry => product.stockByLocation.push({ location: location._id, ...entry }));
+};
+
+const sameId = (a, b) => (a ? a.toString() : null) === (b ? b.toString() : null);
+
+// Stock at a location: for one variant, for product-level stock (variant null),
+// or across all variants when variant is left out
+const getLocationStock = (product, locationId, variant) => {
+  return product.stockByLocation
+    .filter(e => sameId(e.location, locationId) && (variant === undefined || sameId(e.variant, variant)))
+    .reduce((sum, e) => sum + e.quantity, 0);
+};
+
+// Resolve the variant a movement applies to; products with variants need one
+const resolveVariant = (product, variantId) => {
+  if (!variantId) {
+    if (product.variants.length > 0) {
+      throw new HttpError(400, `A variant is required for ${product.name}`);
+    }
+    return null;
+  }
+
+  const variant = product.variants.id(variantId);
+  if (!variant) {
+    throw new HttpError(404, `Variant not found: ${variantId}`);
+  }
+  return variant;
+};
+
+// Make sure the product has a stock entry for the location (and variant) before it is updated in place
+const loadForMovement = async (productId, locationId, variantId, session) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) {
+    throw new HttpError(404, `Product not found: ${productId}`);
+  }
+
+  const variant = resolveVariant(product, variantId);
+
+  await seedLocationStock(product, session);
+  const hasEntry = product.stockByLocation
+    .some(e => sameId(e.location, locationId) && sameId(e.variant, variant && variant._id));
+  if (!hasEntry) {
+    product.stockByLocation.push({ location: locationId, variant: variant ? variant._id : undefined, quantity: 0 });
+  }
+  if (product.isModified()) {
+    await product.save({ session });
+  }
+  return { product, variant };
+};
+
+// Change a product's (or variant's) stock at one location and record the
+// InventoryTransaction. Pass either `delta` (signed change) or `setTo` (absolute
+// level). The update only matches while the location still holds the stock that
+// was read, so concurrent requests cannot oversell; `reserved` units held for
+// others are kept back on decrements. `tracking` carries lots/serial numbers
+// ({ lots, lotNumber, serialNumbers, partialSerials, supplier }); `unitCost` prices incoming
+// units. Meant to run inside a MongoDB transaction.
+const applyStockMovement = async ({ product: productId, variant: variantId, location, type, delta, setTo, quantity, reserved = 0, tracking = {}, unitCost, session, ...details }) => {
+  const { product, variant } = await loadForMovement(productId, location._id, variantId, session);
+  const variantKey = variant ? variant._id : null;
+  const previousStock = getLocationStock(product, location._id, variantKey);
+  const label = variant ? `${product.name} (${variant.sku})` : product.name;
+
+  const change = setTo !== undefined ? setTo - previousStock : delta;
+  const stockFilter = setTo !== undefined ? previousStock : { $gte: change < 0 ? reserved - change : 0 };
+
+  if (change < 0 && previousStock - reserved + change < 0) {
+    const available = Math.max(0, previousStock - reserved);
+    throw new HttpError(400, `Insufficient stock for ${label} at ${location.name}. Available: ${available}, Requested: ${-change}`);
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    {
+      _id: product._id,
+      stockByLocation: { $elemMatch: { location: location._id, variant: variantKey, quantity: stockFilter } }
+    },
+    { $inc: { 'stockByLocation.$.quantity': change, stockCount: change } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new HttpError(409, `Stock for ${label} changed concurrently, please retry`);
+  }
+
+  // Run the save hook to refresh variant totals, size availability and inStock
+  await updated.save({ session });
+
+  const unit = { product: product._id, variant: variantKey, location: location._id, session };
+  let tracked = { lots: [], serialNumbers: [] };
+  if (change > 0) {
+    tracked = await receiveTracked({ ...unit, ...tracking, quantity: change, purchaseOrder: details.purchaseOrder });
+  } else if (change < 0) {
+    tracked = await issueTracked({ ...unit, ...tracking, quantity: -change, previousStock });
+  }
+
+  // Cost layers follow stock in and out; transfers only move it between locations
+  const costed = !details.transferId && change !== 0;
+  let costing = {};
+  if (costed && change > 0) {
+    const cost = unitCost != null ? unitCost : (product.costPrice || 0);
+    costing = { unitCost: cost, totalCost: Math.round(cost * change * 100) / 100 };
+  } else if (costed) {
+    const totalCost = await consumeCostLayers({
+      product: product._id,
+      variant: variantKey,
+      quantity: -change,
+      fallbackCost: product.costPrice || 0,
+      session
+    });
+    costing = { unitCost: Math.round((totalCost / -change) * 100) / 100, totalCost };
+  }
+
+  const newStock = previousStock + change;
+  const [transaction] = await InventoryTransaction.create([{
+    product: product._id,
+    variant: variantKey || undefined,
+    location: location._id,
+    type,
+    quantity: quantity !== undefined ? quantity : (type === 'ADJUSTMENT' ? change : Math.abs(change)),
+    previousStock,
+    newStock,
+    lots: tracked.lots,
+    serialNumbers: tracked.serialNumbers,
+    ...costing,
+    ...details
+  }], { session });
+
+  if (costed && change > 0) {
+    await addCostLayer({
+      product: product._id,
+      variant: variantKey,
+      transaction: transaction._id,
+      quantity: change,
+      unitCost: costing.unitCost,
+      session
+    });
+  }
+
+  return { product: updated, variant, transaction, tracked, previousStock, newStock };
+};
+
+// Book units into the damaged bucket at a location. They are kept apart from
+// sellable stock (stockByLocation/stockCount) and carry no cost layer.
+const recordDamagedStock = async ({ product: productId, variant: variantId, location, quantity, serialNumbers = [], session, ...details }) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) {
+    throw new HttpError(404, `Product not found: ${productId}`);
+  }
+
+  const variant = resolveVariant(product, variantId);
+  const variantKey = variant ? variant._id : null;
+
+  let entry = product.damagedStock.find(e => sameId(e.location, location._id) && sameId(e.variant, variantKey));
+  if (!entry) {
+    product.damagedStock.push({ location: location._id, variant: variantKey || undefined, quantity: 0 });
+    entry = product.damagedStock[product.damagedStock.length - 1];
+  }
+  const previousStock = entry.quantity;
+  entry.quantity += quantity;
+  await product.save({ session });
+
+  if (serialNumbers.length > 0) {
+    await SerialNumber.updateMany(
+      { product: product._id, serial: { $in: serialNumbers } },
+      { status: 'DAMAGED', location: location._id },
+      { session }
+    );
+  }
+
+  const [transaction] = await InventoryTransaction.create([{
+    product: product._id,
+    variant: variantKey || undefined,
+    location: location._id,
+    type: 'IN',
+    bucket: 'DAMAGED',
+    quantity,
+    previousStock,
+    newStock: previousStock + quantity,
+    serialNumbers,
+    ...details
+  }], { session });
+
+  return { product, variant, transaction };
+};
+
+module.exports = {
+  getDefaultLocation,
+  resolveLocation,
+  seedLocationStock,
+  getLocationStock,
+  resolveVariant,
+  applyStockMovement,
+  recordDamagedStock
+};
@@ -0,0 +1,76 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const getStorageConfig = require('../Config/storage');
+
+// Storage drivers keep files under a key (e.g. "products/<id>/<name>.jpg")
+// and implement:
+//   save(key, buffer, { contentType }) -> url the file is served from
+//   remove(key)                         -> resolves even if the file is gone
+//   serve()                             -> optional middleware mounted at publicPath
+const drivers = {};
+
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+// Files on the local disk, served by express.static with long-lived cache
+// headers. Keys are never reused, so the files can be cached as immutable.
+registerStorageDriver('local', (config) => {
+  const root = path.resolve(config.localDir);
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `${config.publicBaseUrl}${config.publicPath}/${key}`;
+    },
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+    serve: () => express.static(root, {
+      maxAge: config.cacheMaxAge * 1000,
+      immutable: true,
+      index: false,
+      // helmet defaults to same-origin, which stops storefronts on other origins showing images
+      setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+    })
+  };
+});
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    const config = getStorageConfig();
+    const factory = drivers[config.driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${config.driver}`);
+    }
+    storage = { ...factory(config), publicPath: config.publicPath };
+  }
+  return storage;
+};
+
+// Delete files that are no longer referenced. Failures are logged rather than
+// thrown: the record change has already been saved.
+const removeStoredFiles = async (keys) => {
+  const storage = getStorage();
+  await Promise.all(keys.filter(Boolean).map(key => storage.remove(key).catch(error => {
+    console.error(`Failed to remove stored file ${key}:`, error);
+  })));
+};
+
+module.exports = {
+  registerStorageDriver,
+  getStorage,
+  removeStoredFiles
+};
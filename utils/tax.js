@@ -0,0 +1,63 @@
+const TaxRate = require('../model/taxRate');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Pick the most specific active rate: category and region, then category,
+// then region, then the catch-all. Returns null when nothing applies.
+const resolveTaxRate = (rates, category, region) => {
+  const state = region ? region.trim().toUpperCase() : null;
+  const matches = rates.filter(rate =>
+    (!rate.category || rate.category === category) &&
+    (!rate.region || rate.region === state)
+  );
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const specificity = (rate) => (rate.category ? 2 : 0) + (rate.region ? 1 : 0);
+  return matches.reduce((best, rate) => (specificity(rate) > specificity(best) ? rate : best));
+};
+
+// Tax each line on its share of the discounted subtotal and total the
+// results per rate. `lines` are [{ category, totalPrice }] with totalPrice
+// net of line discounts; `discount` is spread over them. Returns the
+// per-line tax in the same order, the breakdown and the total tax.
+const calculateTax = async ({ lines, region, discount = 0, session = null }) => {
+  const rates = await TaxRate.find({ isActive: true }).session(session);
+  const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+  const discountShare = subtotal > 0 ? Math.min(discount, subtotal) / subtotal : 0;
+
+  const breakdown = new Map();
+  const taxedLines = lines.map(line => {
+    const rate = resolveTaxRate(rates, line.category, region);
+    const taxableAmount = round(line.totalPrice * (1 - discountShare));
+    const taxAmount = rate ? round(taxableAmount * rate.rate / 100) : 0;
+
+    const name = rate ? rate.name : 'No tax';
+    const key = `${name}:${rate ? rate.rate : 0}`;
+    if (!breakdown.has(key)) {
+      breakdown.set(key, { name, rate: rate ? rate.rate : 0, taxableAmount: 0, taxAmount: 0 });
+    }
+    const entry = breakdown.get(key);
+    entry.taxableAmount = round(entry.taxableAmount + taxableAmount);
+    entry.taxAmount = round(entry.taxAmount + taxAmount);
+
+    return {
+      taxName: name,
+      taxRate: rate ? rate.rate : 0,
+      taxableAmount,
+      taxAmount
+    };
+  });
+
+  return {
+    lines: taxedLines,
+    breakdown: [...breakdown.values()],
+    tax: round(taxedLines.reduce((sum, line) => sum + line.taxAmount, 0))
+  };
+};
+
+module.exports = {
+  resolveTaxRate,
+  calculateTax
+};
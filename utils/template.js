@@ -0,0 +1,5 @@
+// Replace {name} placeholders with values; unknown placeholders are left as they are
+const fillTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+module.exports = { fillTemplate };